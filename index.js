@@ -5,7 +5,6 @@ import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import mongoose from 'mongoose';
-import bcrypt from 'bcryptjs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -19,6 +18,22 @@ import formRoutes from './routes/formRoutes.js';
 import adminNoticeRoutes from './routes/adminNoticeRoutes.js';
 import adminFormRoutes from './routes/adminFormRoutes.js';
 import adminDonorRoutes from './routes/adminDonorRoutes.js';
+import adminEligibilityRoutes from './routes/adminEligibilityRoutes.js';
+import bloodRequestRoutes from './routes/bloodRequestRoutes.js';
+import campRoutes from './routes/campRoutes.js';
+import adminCampRoutes from './routes/adminCampRoutes.js';
+import adminInventoryRoutes from './routes/adminInventoryRoutes.js';
+import adminPartnerRoutes from './routes/adminPartnerRoutes.js';
+import adminHandoverRoutes from './routes/adminHandoverRoutes.js';
+import certificateRoutes from './routes/certificateRoutes.js';
+import adminCertificateRoutes from './routes/adminCertificateRoutes.js';
+import adminTwoFactorRoutes from './routes/adminTwoFactorRoutes.js';
+import adminSecurityRoutes from './routes/adminSecurityRoutes.js';
+import adminRoleRoutes from './routes/adminRoleRoutes.js';
+import { startBloodRequestEscalation } from './utils/bloodRequestService.js';
+import { startEligibilityReminders } from './utils/reminderService.js';
+import { startAdminRequestExpiry } from './utils/adminApproval.js';
+import { backendUrl } from './utils/urls.js';
 
 // Load environment variables
 dotenv.config();
@@ -64,7 +79,8 @@ const corsOptions = {
       'http://localhost:5175',  // Added port 5175
       'http://localhost:3000',
       'https://localhost:5173',
-      'https://nss-blood-donation-camp.vercel.app'
+      'https://nss-blood-donation-camp.vercel.app',
+      new URL(backendUrl()).origin  // Pages served by the API itself post back to it (donor response forms)
     ].filter(Boolean);
 
     if (!origin || allowedOrigins.includes(origin)) {
@@ -117,6 +133,9 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mmmut_nss
   .then(() => {
     console.log('Connected to MongoDB');
     initializeDatabase();
+    startBloodRequestEscalation();
+    startEligibilityReminders();
+    startAdminRequestExpiry();
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
@@ -126,24 +145,39 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mmmut_nss
 // Initialize database with Super Admin
 async function initializeDatabase() {
   try {
-    const { Admin } = await import('./models/Admin.js');
+    const { User } = await import('./models/User.js');
+
+    // Move admin accounts into the users collection, merging accounts that share an email
+    const { mergeAdminAccounts } = await import('./utils/accountMerge.js');
+    const mergedAccounts = await mergeAdminAccounts();
+    if (mergedAccounts.created + mergedAccounts.merged > 0) {
+      console.log(`✅ Moved ${mergedAccounts.created} admin account(s) into users and merged ${mergedAccounts.merged} by email`);
+    }
+
+    // Admins promoted by older versions may still have the default password
+    const { DEFAULT_ADMIN_PASSWORD, flagDefaultPasswordAdmins } = await import('./utils/passwordReset.js');
+    const flaggedAdmins = await flagDefaultPasswordAdmins();
+    if (flaggedAdmins > 0) {
+      console.log(`✅ ${flaggedAdmins} admin(s) on the default password must change it at their next login`);
+    }
 
     // Check if Super Admin exists
-    const superAdmin = await Admin.findOne({ role: 'main' });
+    const superAdmin = await User.findOne({ role: 'main' });
     
     if (!superAdmin) {
-      const hashedPassword = await bcrypt.hash('admin123', 12);
-      
-      const newSuperAdmin = await Admin.create({
+      // Plain password: the model's pre-save hook hashes it. Must be changed on first login.
+      const newSuperAdmin = await User.create({
         name: 'Super Admin',
         email: 'superadmin@mmmut.ac.in',
-        password: hashedPassword,
-        role: 'main'
+        password: DEFAULT_ADMIN_PASSWORD,
+        role: 'main',
+        verified: true,
+        mustChangePassword: true
       });
       
       console.log('✅ Super Admin created successfully:');
       console.log('   Email: superadmin@mmmut.ac.in');
-      console.log('   Password: admin123');
+      console.log('   Password: the default password, which must be changed on first login');
       console.log('   Role: main');
       console.log('   ID:', newSuperAdmin._id);
     } else {
@@ -152,6 +186,65 @@ async function initializeDatabase() {
       console.log('   Role:', superAdmin.role);
       console.log('   ID:', superAdmin._id);
     }
+
+    // Load donation eligibility rules into the engine cache
+    const { EligibilityRules } = await import('./models/EligibilityRules.js');
+    await EligibilityRules.load();
+
+    // Create the built-in roles and load role permissions into the cache
+    const { Role } = await import('./models/Role.js');
+    await Role.load();
+
+    // The old 'user' admin role had the same access as 'normal'
+    const migratedAdmins = await User.updateMany({ role: 'user' }, { role: 'normal' });
+    if (migratedAdmins.modifiedCount > 0) {
+      console.log(`✅ Moved ${migratedAdmins.modifiedCount} admin(s) from the 'user' role to 'normal'`);
+    }
+
+    // Load security settings (mandatory admin 2FA) into the cache
+    const { SecuritySettings } = await import('./models/SecuritySettings.js');
+    await SecuritySettings.load();
+
+    // Admin requests used to start as 'pending' before the applicant had submitted any details
+    const { AdminRequest } = await import('./models/AdminRequest.js');
+    const drafts = await AdminRequest.updateMany({ status: 'pending', name: null }, { status: 'draft' });
+    if (drafts.modifiedCount > 0) {
+      console.log(`✅ Marked ${drafts.modifiedCount} unsubmitted admin request(s) as drafts`);
+    }
+
+    // Requests submitted before approval policies existed get the current policy and a fresh review window
+    const { AdminApprovalPolicy } = await import('./models/AdminApprovalPolicy.js');
+    const approvalPolicy = await AdminApprovalPolicy.load();
+    const unpoliced = await AdminRequest.updateMany(
+      { status: { $in: ['pending', 'info_requested'] }, 'approvalPolicy.requirements.0': { $exists: false } },
+      {
+        approvalPolicy: { requirements: approvalPolicy.requirements.map(({ role, count }) => ({ role, count })) },
+        expiresAt: new Date(Date.now() + approvalPolicy.expiryDays * 24 * 60 * 60 * 1000)
+      }
+    );
+    if (unpoliced.modifiedCount > 0) {
+      console.log(`✅ Applied the approval policy to ${unpoliced.modifiedCount} open admin request(s)`);
+    }
+
+    // Certificate uniqueness ignores revoked certificates; replace the older indexes that did not
+    const { Certificate } = await import('./models/Certificate.js');
+    await Certificate.syncIndexes();
+
+    // Move legacy single lastDonation dates into the donation ledger
+    const { Donor } = await import('./models/Donor.js');
+    const backfilled = await Donor.backfillDonationLedger();
+    if (backfilled > 0) {
+      console.log(`✅ Backfilled donation ledger for ${backfilled} donor(s)`);
+    }
+
+    // Donors synced before the latest donation of each type was kept
+    const unsynced = await Donor.find({ lastDonation: { $ne: null }, lastDonationByType: { $exists: false } });
+    for (const donor of unsynced) {
+      await donor.syncDonationHistory();
+    }
+    if (unsynced.length > 0) {
+      console.log(`✅ Recorded the latest donation of each type for ${unsynced.length} donor(s)`);
+    }
   } catch (error) {
     console.error('Database initialization error:', error);
   }
@@ -168,6 +261,18 @@ app.use('/api/forms', formRoutes);
 app.use('/api/admin/notices', adminNoticeRoutes);
 app.use('/api/admin/forms', adminFormRoutes);
 app.use('/api/admin/donors', adminDonorRoutes);
+app.use('/api/admin/eligibility-rules', adminEligibilityRoutes);
+app.use('/api/blood-requests', bloodRequestRoutes);
+app.use('/api/camps', campRoutes);
+app.use('/api/admin/camps', adminCampRoutes);
+app.use('/api/admin/inventory', adminInventoryRoutes);
+app.use('/api/admin/partners', adminPartnerRoutes);
+app.use('/api/admin/handovers', adminHandoverRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/admin/certificates', adminCertificateRoutes);
+app.use('/api/admin/2fa', adminTwoFactorRoutes);
+app.use('/api/admin/security', adminSecurityRoutes);
+app.use('/api/admin/roles', adminRoleRoutes);
 
 // Serve uploaded files (correct relative path)
 const uploadsPath = path.join(__dirname, 'uploads');
@@ -189,7 +294,8 @@ app.use('*', (req, res) => {
 // Central error handler MUST be last
 // eslint-disable-next-line no-unused-vars
 app.use((error, req, res, _next) => {
-  const status = error.status || 500;
+  // Multer rejects oversized uploads without setting a status
+  const status = error.status || (error.code === 'LIMIT_FILE_SIZE' ? 413 : 500);
   const isProd = process.env.NODE_ENV === 'production';
   if (status >= 500) {
     console.error('Error Handler -> reqId', req.id, error);
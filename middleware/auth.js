@@ -1,8 +1,13 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/User.js';
-import { Admin } from '../models/Admin.js';
+import { Session } from '../models/Session.js';
+import { needsTwoFactorSetup } from '../utils/twoFactor.js';
+import { getRolePermissions } from '../utils/permissions.js';
 
-export const authenticate = async (req, res, next) => {
+// How often a session's "last used" time is refreshed by ordinary requests
+const LAST_USED_UPDATE_MS = 5 * 60 * 1000;
+
+const verifyToken = async (req, res, next, { allowPendingSetup = false } = {}) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -14,14 +19,17 @@ export const authenticate = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    let user = null;
-    if (decoded.type === 'user') {
-      user = await User.findById(decoded.id).select('-password');
-    } else if (decoded.type === 'admin') {
-      user = await Admin.findById(decoded.id).select('-password');
+
+    // Access tokens belong to a server-side session that can be revoked
+    const session = decoded.sid && await Session.findOne({ _id: decoded.sid, account: decoded.id, revokedAt: null });
+    if (!session || !session.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please log in again.'
+      });
     }
 
+    const user = await User.findById(decoded.id).select('-password -passwordReset');
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -29,8 +37,36 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password change are no longer valid
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your password was changed. Please log in again.'
+      });
+    }
+
+    if (user.mustChangePassword && !allowPendingSetup) {
+      return res.status(403).json({
+        success: false,
+        code: 'PASSWORD_CHANGE_REQUIRED',
+        message: 'Please set a new password to continue.'
+      });
+    }
+
+    if (needsTwoFactorSetup(user) && !allowPendingSetup) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Please set up two-factor authentication to continue.'
+      });
+    }
+
+    if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_UPDATE_MS) {
+      Session.updateOne({ _id: session._id }, { lastUsedAt: new Date(), ip: req.ip }).catch(() => {});
+    }
+
     req.user = user;
-    req.userType = decoded.type;
+    req.authSession = session;
     next();
   } catch (error) {
     res.status(401).json({
@@ -40,49 +76,34 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
-export const authorize = (...roles) => {
-  return (req, res, next) => {
-    // Allow access if user role is included in allowed roles
-    if (req.userType === 'user') {
-      if (!roles.includes('user')) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. Insufficient permissions.'
-        });
-      }
-      return next();
-    }
+export const authenticate = (req, res, next) => verifyToken(req, res, next);
 
-    // Handle admin authorization
-    if (req.userType === 'admin') {
-      // Super admin (role: 'main') has access to everything
-      if (req.user.role === 'main') {
-        return next();
-      }
-
-      // Check if admin role is allowed
-      if (!roles.includes('admin')) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. Insufficient permissions.'
-        });
-      }
-
-      // Check for super admin specific routes
-      if (roles.includes('superadmin') && req.user.role !== 'main') {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. Super admin privileges required.'
-        });
-      }
-
-      return next();
-    }
+// Like authenticate, but also lets in accounts that still have to replace their initial password
+// or enroll in two-factor authentication
+export const authenticateForAccountSetup = (req, res, next) =>
+  verifyToken(req, res, next, { allowPendingSetup: true });
 
-    // If we get here, something went wrong
+// Restrict a route to accounts that hold an admin role
+export const requireAdmin = (req, res, next) => {
+  if (!req.user.isAdmin) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Invalid user type.'
+      message: 'Access denied. Insufficient permissions.'
     });
+  }
+  next();
+};
+
+// Restrict a route to admins whose role grants every listed permission (see utils/permissions.js)
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const granted = getRolePermissions(req.user.role);
+    if (!permissions.every(permission => granted.has(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+    next();
   };
-};
\ No newline at end of file
+};
@@ -1,3 +1,18 @@
+import multer from 'multer';
 import { upload } from '../config/cloudinary.js';
 
+// In-memory upload for CSV/XLSX imports; the file is parsed and never stored
+export const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(Object.assign(new Error('Only CSV and XLSX files are allowed'), { status: 400 }));
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+});
+
 export default upload;
\ No newline at end of file
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Single document saying who has to approve an admin request, editable by the super admin
+const adminApprovalPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Every requirement must be met, e.g. one 'faculty_coordinator' plus one 'main'
+  requirements: {
+    type: [{
+      _id: false,
+      role: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      count: {
+        type: Number,
+        required: true,
+        min: 1,
+        default: 1
+      }
+    }],
+    default: [{ role: 'main', count: 1 }]
+  },
+  // Requests that are not decided within this many days expire
+  expiryDays: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 14
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Load (creating with defaults if missing) the policy
+adminApprovalPolicySchema.statics.load = async function() {
+  let policy = await this.findOne({ key: 'default' });
+  if (!policy) {
+    policy = await this.create({ key: 'default' });
+  }
+  return policy;
+};
+
+export const AdminApprovalPolicy = mongoose.model('AdminApprovalPolicy', adminApprovalPolicySchema);
@@ -1,5 +1,63 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { otpPlugin } from '../utils/otp.js';
+
+export const ADMIN_REQUEST_STATUSES = ['draft', 'pending', 'info_requested', 'approved', 'rejected', 'expired'];
+
+// Requests that can still be changed by the applicant or decided by a reviewer
+export const OPEN_ADMIN_REQUEST_STATUSES = ['draft', 'pending', 'info_requested'];
+
+// One step in the life of a request: submitted, resubmitted, info requested, approved, rejected or expired
+const historyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['submitted', 'resubmitted', 'info_requested', 'approved', 'rejected', 'expired'],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A reviewer's decision; `role` is the reviewer's role when voting and decides which requirement it counts towards.
+// Votes cast before the applicant resubmitted changed details are kept for the record but marked stale.
+const voteSchema = new mongoose.Schema({
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    required: true
+  },
+  decision: {
+    type: String,
+    enum: ['approve', 'reject'],
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true
+  },
+  stale: {
+    type: Boolean,
+    default: false
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const adminRequestSchema = new mongoose.Schema({
   name: {
@@ -38,20 +96,46 @@ const adminRequestSchema = new mongoose.Schema({
     required: false, // Set during submit step
     minlength: 6
   },
+  // 'draft' until the details are submitted
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
-    default: 'pending'
+    enum: ADMIN_REQUEST_STATUSES,
+    default: 'draft'
   },
+  submittedAt: Date,
   reviewedBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Admin'
+    ref: 'User'
   },
   reviewedAt: Date,
-  otp: {
-    code: String,
-    expiresAt: Date
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  // Latest question asked of the applicant (see history for earlier ones)
+  infoRequest: {
+    message: {
+      type: String,
+      trim: true
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date
+  },
+  // Approval policy in force when the request was submitted (see AdminApprovalPolicy)
+  approvalPolicy: {
+    requirements: [{
+      _id: false,
+      role: String,
+      count: Number
+    }]
   },
+  votes: [voteSchema],
+  // Open requests not decided by then expire
+  expiresAt: Date,
+  history: [historyEntrySchema],
   emailVerified: {
     type: Boolean,
     default: false
@@ -60,6 +144,25 @@ const adminRequestSchema = new mongoose.Schema({
   timestamps: true
 });
 
+adminRequestSchema.index({ email: 1, createdAt: -1 });
+adminRequestSchema.index({ status: 1, createdAt: -1 });
+adminRequestSchema.index({ status: 1, expiresAt: 1 });
+
+// Approvals counted against each requirement of the policy, and whether all of them are met
+adminRequestSchema.virtual('approvalProgress').get(function() {
+  const requirements = (this.approvalPolicy?.requirements || []).map(requirement => ({
+    role: requirement.role,
+    required: requirement.count,
+    approvals: (this.votes || []).filter(vote => !vote.stale && vote.decision === 'approve' && vote.role === requirement.role).length
+  }));
+  return {
+    requirements,
+    quorumMet: requirements.length > 0 && requirements.every(requirement => requirement.approvals >= requirement.required)
+  };
+});
+
+adminRequestSchema.set('toJSON', { virtuals: true });
+
 // Hash password before saving
 adminRequestSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -67,27 +170,6 @@ adminRequestSchema.pre('save', async function(next) {
   next();
 });
 
-// Generate OTP
-adminRequestSchema.methods.generateOTP = function() {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  this.otp = {
-    code: otp,
-    expiresAt: new Date(Date.now() + 5 * 60 * 1000) // 5 minutes
-  };
-  return otp;
-};
-
-// Verify OTP
-adminRequestSchema.methods.verifyOTP = function(candidateOTP) {
-  if (!this.otp || !this.otp.code || !this.otp.expiresAt) {
-    return false;
-  }
-  
-  if (new Date() > this.otp.expiresAt) {
-    return false;
-  }
-  
-  return this.otp.code === candidateOTP;
-};
+adminRequestSchema.plugin(otpPlugin);
 
 export const AdminRequest = mongoose.model('AdminRequest', adminRequestSchema);
\ No newline at end of file
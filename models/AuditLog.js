@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+auditLogSchema.index({ createdAt: -1 });
+
+// Record an action performed during a request (actor taken from the authenticated user, if any)
+auditLogSchema.statics.record = function(req, action, details = {}) {
+  return this.create({
+    action,
+    actor: req.user?._id,
+    details,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+};
+
+export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import { BLOOD_GROUPS } from '../utils/bloodCompatibility.js';
+
+const contactSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  round: {
+    type: Number,
+    required: true
+  },
+  notifiedAt: {
+    type: Date,
+    default: Date.now
+  },
+  emailSent: {
+    type: Boolean,
+    default: false
+  },
+  responseTokenHash: {
+    type: String,
+    index: true
+  },
+  response: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined'],
+    default: 'pending'
+  },
+  respondedAt: Date
+}, {
+  _id: true
+});
+
+const bloodRequestSchema = new mongoose.Schema({
+  patientName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  patientBloodGroup: {
+    type: String,
+    required: true,
+    enum: BLOOD_GROUPS
+  },
+  unitsNeeded: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  hospital: {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    address: {
+      type: String,
+      trim: true
+    }
+  },
+  // Partner hospital from the directory; hospital name and address are copied from it
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner'
+  },
+  contactName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contactPhone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  urgency: {
+    type: String,
+    enum: ['normal', 'urgent', 'critical'],
+    default: 'urgent'
+  },
+  neededBy: {
+    type: Date,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    // Requests from accounts without the blood_requests:create permission wait for approval before donors are alerted
+    enum: ['pending_approval', 'open', 'fulfilled', 'cancelled', 'expired'],
+    default: 'open'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  currentRound: {
+    type: Number,
+    default: 0
+  },
+  lastRoundAt: Date,
+  contacts: [contactSchema],
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+bloodRequestSchema.index({ status: 1, createdAt: -1 });
+
+bloodRequestSchema.virtual('acceptedCount').get(function() {
+  return this.contacts.filter(contact => contact.response === 'accepted').length;
+});
+
+bloodRequestSchema.virtual('declinedCount').get(function() {
+  return this.contacts.filter(contact => contact.response === 'declined').length;
+});
+
+// Ensure virtual fields are included in JSON output
+bloodRequestSchema.set('toJSON', { virtuals: true });
+bloodRequestSchema.set('toObject', { virtuals: true });
+
+export const BloodRequest = mongoose.model('BloodRequest', bloodRequestSchema);
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { BLOOD_GROUPS } from '../utils/bloodCompatibility.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Shelf life in days per component
+export const COMPONENT_SHELF_LIFE_DAYS = {
+  whole_blood: 35,
+  packed_red_cells: 42,
+  platelets: 5,
+  fresh_frozen_plasma: 365,
+  cryoprecipitate: 365
+};
+
+// Suffix added to the bag number to label each component unit
+const COMPONENT_CODES = {
+  whole_blood: 'WB',
+  packed_red_cells: 'PRC',
+  platelets: 'PLT',
+  fresh_frozen_plasma: 'FFP',
+  cryoprecipitate: 'CRYO'
+};
+
+export const BLOOD_COMPONENTS = Object.keys(COMPONENT_SHELF_LIFE_DAYS);
+// 'separated' whole blood has been processed into component units and is no longer stock
+export const UNIT_STATUSES = ['quarantined', 'available', 'issued', 'discarded', 'separated'];
+
+// Component a donation produces before any processing
+export const COMPONENT_FOR_DONATION_TYPE = {
+  whole_blood: 'whole_blood',
+  platelets: 'platelets',
+  plasma: 'fresh_frozen_plasma'
+};
+
+// Allowed status moves: quarantined -> available -> issued, discard or separate from either
+const STATUS_TRANSITIONS = {
+  quarantined: ['available', 'discarded', 'separated'],
+  available: ['issued', 'discarded', 'separated'],
+  issued: [],
+  discarded: [],
+  separated: []
+};
+
+const bloodUnitSchema = new mongoose.Schema({
+  unitNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+    required: true,
+    index: true
+  },
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  camp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Camp',
+    index: true
+  },
+  bloodGroup: {
+    type: String,
+    enum: BLOOD_GROUPS,
+    required: true
+  },
+  component: {
+    type: String,
+    enum: BLOOD_COMPONENTS,
+    required: true
+  },
+  volumeMl: {
+    type: Number,
+    min: 0
+  },
+  collectedAt: {
+    type: Date,
+    required: true
+  },
+  // Computed from collectedAt and the component shelf life
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  storageLocation: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: UNIT_STATUSES,
+    default: 'quarantined'
+  },
+  // Partner the unit was handed over to
+  issuedTo: {
+    partner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Partner'
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    contact: {
+      type: String,
+      trim: true
+    }
+  },
+  issuedAt: Date,
+  handover: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Handover'
+  },
+  discardReason: {
+    type: String,
+    trim: true
+  },
+  discardedAt: Date,
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: UNIT_STATUSES
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+bloodUnitSchema.index({ status: 1, bloodGroup: 1, component: 1 });
+bloodUnitSchema.index({ status: 1, expiresAt: 1 });
+
+bloodUnitSchema.pre('validate', function(next) {
+  if (this.collectedAt && this.component && (this.isNew || this.isModified('collectedAt') || this.isModified('component'))) {
+    this.expiresAt = new Date(new Date(this.collectedAt).getTime() + COMPONENT_SHELF_LIFE_DAYS[this.component] * DAY_MS);
+  }
+  next();
+});
+
+bloodUnitSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+bloodUnitSchema.set('toJSON', { virtuals: true });
+
+bloodUnitSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the unit to a new status, recording who did it
+bloodUnitSchema.methods.transitionTo = function(status, changedBy, notes) {
+  if (!this.canTransitionTo(status)) {
+    throw Object.assign(
+      new Error(`Cannot change unit status from ${this.status} to ${status}`),
+      { status: 400 }
+    );
+  }
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, notes });
+  return this;
+};
+
+// Unit number of one component from a bag
+export const unitNumberFor = (bagNumber, component) => `${String(bagNumber).trim()}-${COMPONENT_CODES[component]}`;
+
+// Generate a unit number when the donation has no bag number
+const generateUnitNumber = () => `BU-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+// Create quarantined units for a donation, one per component
+bloodUnitSchema.statics.createForDonation = async function(donation, donor, { components, storageLocation, createdBy } = {}) {
+  const unitComponents = components || [COMPONENT_FOR_DONATION_TYPE[donation.donationType] || 'whole_blood'];
+  const base = donation.bagNumber || generateUnitNumber();
+
+  return this.create(unitComponents.map(component => ({
+    unitNumber: unitNumberFor(base, component),
+    donation: donation._id,
+    donor: donor._id,
+    camp: donation.camp,
+    bloodGroup: donor.bloodGroup,
+    component,
+    volumeMl: unitComponents.length === 1 ? donation.volumeMl : undefined,
+    collectedAt: donation.donatedAt,
+    storageLocation,
+    statusHistory: [{ status: 'quarantined', changedBy: createdBy }],
+    createdBy
+  })));
+};
+
+export const BloodUnit = mongoose.model('BloodUnit', bloodUnitSchema);
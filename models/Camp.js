@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+
+export const CAMP_STATUSES = ['planned', 'open', 'in_progress', 'closed'];
+
+// Allowed lifecycle moves: planned -> open -> in progress -> closed
+const STATUS_TRANSITIONS = {
+  planned: ['open'],
+  open: ['planned', 'in_progress'],
+  in_progress: ['closed'],
+  closed: []
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const slotSchema = new mongoose.Schema({
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Slot times must use HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Slot times must use HH:mm format']
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 20
+  }
+});
+
+slotSchema.virtual('label').get(function() {
+  return `${this.startTime}-${this.endTime}`;
+});
+slotSchema.set('toJSON', { virtuals: true });
+
+const campSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  venue: {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    address: {
+      type: String,
+      trim: true
+    }
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  slots: [slotSchema],
+  // Partner blood bank from the directory
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner'
+  },
+  // Free-text details for a blood bank that is not in the directory
+  partnerBloodBank: {
+    name: {
+      type: String,
+      trim: true
+    },
+    contact: {
+      type: String,
+      trim: true
+    }
+  },
+  targetUnits: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  volunteers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Published event (Form) this camp belongs to, if any
+  form: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Form'
+  },
+  status: {
+    type: String,
+    enum: CAMP_STATUSES,
+    default: 'planned'
+  },
+  // Last screening queue number handed out at check-in
+  queueCounter: {
+    type: Number,
+    default: 0
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: CAMP_STATUSES
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+campSchema.index({ status: 1, date: 1 });
+
+slotSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+    this.invalidate('endTime', 'Slot end time must be after its start time');
+  }
+  next();
+});
+
+campSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the camp to a new lifecycle status, recording who did it
+campSchema.methods.transitionTo = function(status, changedBy) {
+  if (!this.canTransitionTo(status)) {
+    throw Object.assign(
+      new Error(`Cannot change camp status from ${this.status} to ${status}`),
+      { status: 400 }
+    );
+  }
+  this.status = status;
+  this.statusHistory.push({ status, changedBy });
+  return this.save();
+};
+
+// Find the in-progress camp a donation recorded now by this admin belongs to.
+// Prefers a camp the admin volunteers at; otherwise only attaches if there is exactly one.
+campSchema.statics.findActiveCampFor = async function(adminId, date = new Date()) {
+  const dayStart = new Date(date);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+  const camps = await this.find({
+    isActive: true,
+    status: 'in_progress',
+    date: { $gte: dayStart, $lt: dayEnd }
+  });
+
+  const volunteering = camps.filter(camp => camp.volunteers.some(id => id.toString() === adminId.toString()));
+  if (volunteering.length === 1) return volunteering[0];
+  return camps.length === 1 ? camps[0] : null;
+};
+
+// Hand out the next screening queue number atomically
+campSchema.statics.nextQueueNumber = async function(campId) {
+  const camp = await this.findByIdAndUpdate(campId, { $inc: { queueCounter: 1 } }, { new: true });
+  return camp.queueCounter;
+};
+
+export const Camp = mongoose.model('Camp', campSchema);
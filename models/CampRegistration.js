@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+const campRegistrationSchema = new mongoose.Schema({
+  camp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Camp',
+    required: true,
+    index: true
+  },
+  // Missing only for walk-ins whose donor record has no linked account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  // Camp.slots subdocument id; required when the camp has slots
+  slot: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'waitlisted', 'cancelled'],
+    default: 'booked'
+  },
+  // Added at the desk without a prior booking
+  walkIn: {
+    type: Boolean,
+    default: false
+  },
+  bookedAt: Date,
+  waitlistedAt: Date,
+  promotedAt: Date,
+  cancelledAt: Date,
+  checkIn: {
+    at: Date,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deviceId: String,
+    source: {
+      type: String,
+      enum: ['online', 'offline_sync']
+    },
+    eligible: Boolean
+  },
+  // Later scans of an already used pass, kept for conflict review
+  duplicateScans: [{
+    _id: false,
+    at: Date,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deviceId: String
+  }],
+  queueNumber: Number,
+  queueStatus: {
+    type: String,
+    enum: ['waiting', 'screening', 'done', 'ineligible']
+  }
+}, {
+  timestamps: true
+});
+
+campRegistrationSchema.index({ camp: 1, user: 1 });
+campRegistrationSchema.index({ camp: 1, slot: 1, status: 1 });
+campRegistrationSchema.index({ camp: 1, queueStatus: 1, queueNumber: 1 });
+
+export const CampRegistration = mongoose.model('CampRegistration', campRegistrationSchema);
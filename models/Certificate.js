@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+export const CERTIFICATE_TYPES = ['donation', 'camp_participation'];
+
+// Unambiguous characters for certificate IDs (no 0/O, 1/I)
+const ID_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+const generateCertificateId = () => {
+  const bytes = crypto.randomBytes(8);
+  const code = Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+  return `NSS-${new Date().getFullYear()}-${code}`;
+};
+
+// Issued donation or camp participation certificate. Donor details are copied
+// at issue time so the certificate verifies as printed.
+const certificateSchema = new mongoose.Schema({
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: generateCertificateId
+  },
+  type: {
+    type: String,
+    enum: CERTIFICATE_TYPES,
+    required: true
+  },
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true,
+    index: true
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation'
+  },
+  camp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Camp',
+    index: true
+  },
+  donorName: {
+    type: String,
+    required: true
+  },
+  bloodGroup: {
+    type: String,
+    required: true
+  },
+  eventDate: {
+    type: Date,
+    required: true
+  },
+  eventName: String,
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokeReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One valid certificate per donation, and one per donor and camp for participation.
+// Revoked certificates are left out so a corrected one can be issued.
+certificateSchema.index(
+  { donation: 1 },
+  { unique: true, partialFilterExpression: { type: 'donation', revokedAt: null } }
+);
+certificateSchema.index(
+  { camp: 1, donor: 1 },
+  { unique: true, partialFilterExpression: { type: 'camp_participation', revokedAt: null } }
+);
+
+/**
+ * Return the valid certificate for a donation or camp participation, or issue a new one.
+ * Donation certificates need `donation`; participation certificates need `camp`.
+ */
+certificateSchema.statics.issue = async function({ type, donor, donation, camp, issuedBy }) {
+  const filter = type === 'donation'
+    ? { type, donation: donation._id }
+    : { type, camp: camp._id, donor: donor._id };
+
+  const existing = await this.findOne({ ...filter, revokedAt: null });
+  if (existing) return existing;
+
+  try {
+    return await this.create({
+      ...filter,
+      donor: donor._id,
+      camp: camp?._id || donation?.camp,
+      donorName: donor.name,
+      bloodGroup: donor.bloodGroup,
+      eventDate: type === 'donation' ? donation.donatedAt : camp.date,
+      eventName: camp?.name || donation?.event,
+      issuedBy
+    });
+  } catch (error) {
+    // Issued concurrently by another request
+    if (error.code === 11000) return this.findOne({ ...filter, revokedAt: null });
+    throw error;
+  }
+};
+
+export const Certificate = mongoose.model('Certificate', certificateSchema);
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import { DONATION_TYPES } from '../utils/eligibility.js';
+
+const donationSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true,
+    index: true
+  },
+  donatedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  donationType: {
+    type: String,
+    enum: DONATION_TYPES,
+    default: 'whole_blood'
+  },
+  event: {
+    type: String, // Camp or event name
+    trim: true
+  },
+  camp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Camp',
+    index: true
+  },
+  volumeMl: {
+    type: Number,
+    min: 0
+  },
+  bagNumber: {
+    type: String,
+    trim: true
+  },
+  outcome: {
+    type: String,
+    enum: ['donated', 'deferred'],
+    default: 'donated'
+  },
+  deferralNotes: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  corrections: [{
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    previous: mongoose.Schema.Types.Mixed
+  }],
+  isVoid: {
+    type: Boolean,
+    default: false
+  },
+  voidReason: {
+    type: String,
+    trim: true
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedAt: Date
+}, {
+  timestamps: true
+});
+
+donationSchema.index({ donor: 1, donatedAt: -1 });
+
+// Only non-void entries where blood was actually collected count as donations
+donationSchema.statics.countedFilter = function(donorId) {
+  return { donor: donorId, isVoid: false, outcome: 'donated' };
+};
+
+// Summarize a donor's ledger: number of donations, the most recent one, and the most recent of each type
+donationSchema.statics.summarizeForDonor = async function(donorId) {
+  const filter = this.countedFilter(donorId);
+  const [count, latest, latestByType] = await Promise.all([
+    this.countDocuments(filter),
+    this.findOne(filter).sort({ donatedAt: -1 }).select('donatedAt donationType'),
+    this.aggregate([
+      { $match: filter },
+      { $group: { _id: { $ifNull: ['$donationType', 'whole_blood'] }, donatedAt: { $max: '$donatedAt' } } }
+    ])
+  ]);
+
+  return {
+    donationCount: count,
+    lastDonation: latest ? latest.donatedAt : undefined,
+    lastDonationType: latest ? latest.donationType : undefined,
+    lastDonationByType: Object.fromEntries(latestByType.map(entry => [entry._id, entry.donatedAt]))
+  };
+};
+
+export const Donation = mongoose.model('Donation', donationSchema);
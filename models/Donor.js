@@ -1,4 +1,58 @@
 import mongoose from 'mongoose';
+import { Donation } from './Donation.js';
+import {
+  DONATION_TYPES,
+  DONOR_SEXES,
+  DEFERRAL_CATEGORIES,
+  evaluateEligibility,
+  getDefaultDeferralEnd
+} from '../utils/eligibility.js';
+
+// Contact formats are checked where donors are created or edited, not by the schema,
+// so older records with non-conforming values can still be saved
+const PHONE_PATTERN = /^\+?[0-9][0-9\s-]{8,14}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Format errors for the given phone/email values (missing ones are left to the required validators)
+export const donorContactErrors = ({ phone, email }) => {
+  const errors = [];
+  if (phone && !PHONE_PATTERN.test(String(phone).trim())) errors.push('Please provide a valid phone number');
+  if (email && !EMAIL_PATTERN.test(String(email).trim())) errors.push('Please provide a valid email address');
+  return errors;
+};
+
+const deferralSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: DEFERRAL_CATEGORIES,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  permanent: {
+    type: Boolean,
+    default: false
+  },
+  until: Date,
+  // Screening attempt that produced this deferral, if any
+  screening: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Screening'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  liftedAt: Date,
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
 
 const donorSchema = new mongoose.Schema({
   name: {
@@ -16,11 +70,19 @@ const donorSchema = new mongoose.Schema({
     required: true,
     enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
   },
+  // Donation age limits are enforced by the eligibility rules, not the schema
   age: {
     type: Number,
     required: true,
-    min: 18,
-    max: 65
+    min: 0
+  },
+  sex: {
+    type: String,
+    enum: DONOR_SEXES
+  },
+  weightKg: {
+    type: Number,
+    min: 0
   },
   phone: {
     type: String,
@@ -47,48 +109,220 @@ const donorSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Cached from the Donation ledger; kept in sync by syncDonationHistory()
   lastDonation: {
     type: Date
   },
+  lastDonationType: {
+    type: String,
+    enum: DONATION_TYPES
+  },
+  // Latest donation of each type, so every type's own minimum interval can be checked
+  lastDonationByType: Object.fromEntries(DONATION_TYPES.map(type => [type, Date])),
+  donationCount: {
+    type: Number,
+    default: 0
+  },
+  deferrals: [deferralSchema],
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Account of a student who registered themselves as a donor
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Donor-controlled pause; paused donors are not contacted for requests
+  availability: {
+    paused: {
+      type: Boolean,
+      default: false
+    },
+    until: Date,
+    reason: {
+      type: String,
+      trim: true
+    }
+  },
+  // Donor opted out of "you can donate again" reminder emails
+  reminders: {
+    optedOut: {
+      type: Boolean,
+      default: false
+    },
+    optedOutAt: Date
+  },
+  // Self-service edits to sensitive fields awaiting admin confirmation
+  pendingChanges: {
+    changes: mongoose.Schema.Types.Mixed,
+    requestedAt: Date
+  },
+  // Set when this record was merged into another as a duplicate
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor'
+  },
+  mergedAt: Date,
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
 });
 
-// Virtual field to check if donor is eligible for donation (90+ days since last donation)
+// Virtual field with the full eligibility evaluation (reasons, next eligible date)
+donorSchema.virtual('eligibility').get(function() {
+  return evaluateEligibility(this);
+});
+
+// Virtual field to check if donor is eligible for donation
 donorSchema.virtual('isEligibleForDonation').get(function() {
-  if (!this.lastDonation) {
-    return true; // Never donated, eligible
-  }
-  
-  const now = new Date();
-  const daysSinceLastDonation = Math.floor((now - this.lastDonation) / (1000 * 60 * 60 * 24));
-  return daysSinceLastDonation >= 90; // 3 months = 90 days
+  return evaluateEligibility(this).eligible;
+});
+
+// Virtual field: false while the donor has paused their availability
+donorSchema.virtual('isAvailable').get(function() {
+  if (!this.availability || !this.availability.paused) return true;
+  return Boolean(this.availability.until) && this.availability.until <= new Date();
 });
 
-// Method to get days until donor becomes eligible
+// Method to get days until donor becomes eligible (null when no end date is known)
 donorSchema.methods.getDaysUntilEligible = function() {
-  if (!this.lastDonation) {
-    return 0; // Never donated, already eligible
+  return evaluateEligibility(this).daysUntilEligible;
+};
+
+// Method to add a temporary or permanent deferral
+donorSchema.methods.addDeferral = function({ category, notes, permanent = false, until, recordedBy, screening }) {
+  const end = permanent ? undefined : (until ? new Date(until) : getDefaultDeferralEnd(category));
+  this.deferrals.push({ category, notes, permanent, until: end, recordedBy, screening });
+  return this.deferrals[this.deferrals.length - 1];
+};
+
+// Method to record a new donation in the ledger
+donorSchema.methods.recordDonation = async function(details = {}) {
+  const donation = await Donation.create({
+    ...details,
+    donor: this._id
+  });
+  await this.syncDonationHistory();
+  return donation;
+};
+
+// Recompute lastDonation and donationCount from the Donation ledger
+donorSchema.methods.syncDonationHistory = async function() {
+  const { donationCount, lastDonation, lastDonationType, lastDonationByType } = await Donation.summarizeForDonor(this._id);
+  this.donationCount = donationCount;
+  this.lastDonation = lastDonation;
+  this.lastDonationType = lastDonationType;
+  this.lastDonationByType = lastDonationByType;
+  return this.save();
+};
+
+// Create ledger entries for donors that only have the legacy lastDonation date
+donorSchema.statics.backfillDonationLedger = async function() {
+  const donors = await this.find({ lastDonation: { $ne: null }, donationCount: { $in: [0, null] } });
+  let created = 0;
+
+  for (const donor of donors) {
+    const existing = await Donation.countDocuments({ donor: donor._id });
+    if (existing > 0) continue;
+
+    await Donation.create({
+      donor: donor._id,
+      donatedAt: donor.lastDonation,
+      event: 'Legacy record'
+    });
+    await donor.syncDonationHistory();
+    created++;
   }
-  
-  const now = new Date();
-  const daysSinceLastDonation = Math.floor((now - this.lastDonation) / (1000 * 60 * 60 * 24));
-  
-  if (daysSinceLastDonation >= 90) {
-    return 0; // Already eligible
+
+  return created;
+};
+
+// Other collections that point at a donor; merging repoints them to the survivor
+const DONOR_REFERENCES = [
+  ['Donation', 'donor'],
+  ['CampRegistration', 'donor'],
+  ['Screening', 'donor'],
+  ['BloodUnit', 'donor'],
+  ['Certificate', 'donor'],
+  ['ReminderLog', 'donor'],
+  ['BloodRequest', 'contacts.donor']
+];
+
+// Point references to the duplicates at the survivor. A document that would clash with a unique
+// index (e.g. a participation certificate the survivor already has for the same camp) stays as it is.
+const repointDonorReferences = async (duplicateIds, survivorId) => {
+  for (const [modelName, path] of DONOR_REFERENCES) {
+    if (!mongoose.modelNames().includes(modelName)) continue;
+    const Model = mongoose.model(modelName);
+
+    if (path.includes('.')) {
+      const [arrayPath, field] = path.split('.');
+      await Model.updateMany(
+        { [path]: { $in: duplicateIds } },
+        { $set: { [`${arrayPath}.$[entry].${field}`]: survivorId } },
+        { arrayFilters: [{ [`entry.${field}`]: { $in: duplicateIds } }] }
+      );
+      continue;
+    }
+
+    try {
+      await Model.updateMany({ [path]: { $in: duplicateIds } }, { $set: { [path]: survivorId } });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      for (const doc of await Model.find({ [path]: { $in: duplicateIds } }).select('_id')) {
+        await Model.updateOne({ _id: doc._id }, { $set: { [path]: survivorId } }).catch(err => {
+          if (err.code !== 11000) throw err;
+        });
+      }
+    }
   }
-  
-  return 90 - daysSinceLastDonation;
 };
 
-// Method to record a new donation
-donorSchema.methods.recordDonation = function() {
-  this.lastDonation = new Date();
-  return this.save();
+/**
+ * Merge duplicate donors into the survivor: take the newest contact details, missing fields,
+ * deferrals and the linked account, move everything that referenced the duplicates, and
+ * soft-delete them with a pointer to the survivor. The survivor is saved before anything is
+ * moved, so an interrupted merge can simply be run again.
+ * Throws a 400 error when the donors are linked to different accounts.
+ */
+donorSchema.statics.mergeInto = async function(survivor, duplicates, mergedBy) {
+  const duplicateIds = duplicates.map(donor => donor._id);
+
+  const accounts = new Set([survivor, ...duplicates].filter(donor => donor.user).map(donor => donor.user.toString()));
+  if (accounts.size > 1) {
+    throw Object.assign(new Error('These donors are linked to different student accounts and cannot be merged'), { status: 400 });
+  }
+
+  const newest = [survivor, ...duplicates].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0];
+  survivor.phone = newest.phone;
+  survivor.email = newest.email;
+
+  for (const duplicate of duplicates) {
+    for (const field of ['sex', 'weightKg', 'medicalHistory', 'user']) {
+      if (survivor[field] == null && duplicate[field] != null) {
+        survivor[field] = duplicate[field];
+      }
+    }
+    for (const deferral of duplicate.deferrals) {
+      if (survivor.deferrals.id(deferral._id)) continue;
+      survivor.deferrals.push(deferral.toObject());
+    }
+  }
+  await survivor.save();
+
+  await repointDonorReferences(duplicateIds, survivor._id);
+
+  await this.updateMany(
+    { _id: { $in: duplicateIds } },
+    { $set: { isActive: false, mergedInto: survivor._id, mergedAt: new Date(), mergedBy } }
+  );
+
+  return survivor.syncDonationHistory();
 };
 
 // Ensure virtual fields are included in JSON output
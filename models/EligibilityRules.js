@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import {
+  DONATION_TYPES,
+  DEFERRAL_CATEGORIES,
+  DEFAULT_ELIGIBILITY_RULES,
+  setEligibilityRules
+} from '../utils/eligibility.js';
+
+// Single document holding the donation eligibility rules, editable by the super admin
+const eligibilityRulesSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  minAge: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: DEFAULT_ELIGIBILITY_RULES.minAge
+  },
+  maxAge: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: DEFAULT_ELIGIBILITY_RULES.maxAge
+  },
+  minWeightKg: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: DEFAULT_ELIGIBILITY_RULES.minWeightKg
+  },
+  intervals: {
+    type: [{
+      _id: false,
+      sex: {
+        type: String,
+        enum: ['any', 'male', 'female', 'other'],
+        default: 'any'
+      },
+      donationType: {
+        type: String,
+        enum: DONATION_TYPES,
+        required: true
+      },
+      minDays: {
+        type: Number,
+        required: true,
+        min: 0
+      }
+    }],
+    default: () => DEFAULT_ELIGIBILITY_RULES.intervals
+  },
+  deferralDefaults: {
+    type: [{
+      _id: false,
+      category: {
+        type: String,
+        enum: DEFERRAL_CATEGORIES,
+        required: true
+      },
+      days: {
+        type: Number,
+        min: 0
+      }
+    }],
+    default: () => DEFAULT_ELIGIBILITY_RULES.deferralDefaults
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+eligibilityRulesSchema.pre('validate', function(next) {
+  if (this.minAge > this.maxAge) {
+    this.invalidate('minAge', 'Minimum age cannot be greater than maximum age');
+  }
+  next();
+});
+
+// Load (creating with defaults if missing) the rules and refresh the engine cache
+eligibilityRulesSchema.statics.load = async function() {
+  let rules = await this.findOne({ key: 'default' });
+  if (!rules) {
+    rules = await this.create({ key: 'default' });
+  }
+  setEligibilityRules(rules.toObject());
+  return rules;
+};
+
+export const EligibilityRules = mongoose.model('EligibilityRules', eligibilityRulesSchema);
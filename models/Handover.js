@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Record of blood units or donations handed over to a partner
+const handoverSchema = new mongoose.Schema({
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    required: true,
+    index: true
+  },
+  camp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Camp'
+  },
+  units: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodUnit'
+  }],
+  // Donations handed over without inventory units
+  donations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation'
+  }],
+  handedOverAt: {
+    type: Date,
+    default: Date.now
+  },
+  handedOverBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Partner staff member who signed for the handover
+  receivedBy: {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    designation: {
+      type: String,
+      trim: true
+    }
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+handoverSchema.index({ handedOverAt: -1 });
+
+handoverSchema.pre('validate', function(next) {
+  if (this.units.length === 0 && this.donations.length === 0) {
+    this.invalidate('units', 'A handover must include at least one unit or donation');
+  }
+  next();
+});
+
+export const Handover = mongoose.model('Handover', handoverSchema);
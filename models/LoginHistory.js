@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+export const LOGIN_FAILURE_REASONS = ['invalid_password', 'invalid_code', 'locked', 'unknown_account'];
+
+// One login attempt (password or second step); kept for a year
+const loginHistorySchema = new mongoose.Schema({
+  // Missing when the email does not belong to any account
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: {
+    type: String,
+    enum: LOGIN_FAILURE_REASONS
+  },
+  method: {
+    type: String,
+    enum: ['password', 'otp', 'two_factor'],
+    default: 'password'
+  },
+  ip: String,
+  userAgent: String,
+  device: String,
+  // First successful login from this browser / IP for the account
+  newDevice: {
+    type: Boolean,
+    default: false
+  },
+  newIp: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+loginHistorySchema.index({ account: 1, createdAt: -1 });
+loginHistorySchema.index({ account: 1, success: 1, userAgent: 1 });
+loginHistorySchema.index({ account: 1, success: 1, ip: 1 });
+loginHistorySchema.index({ ip: 1, createdAt: -1 });
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+export const LoginHistory = mongoose.model('LoginHistory', loginHistorySchema);
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import { BLOOD_GROUPS } from '../utils/bloodCompatibility.js';
+
+export const PARTNER_TYPES = ['blood_bank', 'hospital'];
+
+const contactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  designation: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  }
+});
+
+// Blood bank or hospital we work with
+const partnerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: PARTNER_TYPES,
+    required: true
+  },
+  licenseNumber: {
+    type: String,
+    trim: true
+  },
+  address: {
+    street: {
+      type: String,
+      trim: true
+    },
+    city: {
+      type: String,
+      trim: true
+    },
+    state: {
+      type: String,
+      trim: true
+    },
+    postalCode: {
+      type: String,
+      trim: true
+    }
+  },
+  contacts: [contactSchema],
+  // Empty means the partner accepts every blood group
+  acceptedBloodGroups: [{
+    type: String,
+    enum: BLOOD_GROUPS
+  }],
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+partnerSchema.index({ type: 1, name: 1 });
+
+// Single-line address for documents and request forms
+partnerSchema.virtual('fullAddress').get(function() {
+  const { street, city, state, postalCode } = this.address || {};
+  return [street, city, state, postalCode].filter(Boolean).join(', ');
+});
+
+partnerSchema.set('toJSON', { virtuals: true });
+
+partnerSchema.methods.acceptsBloodGroup = function(bloodGroup) {
+  return this.acceptedBloodGroups.length === 0 || this.acceptedBloodGroups.includes(bloodGroup);
+};
+
+export const Partner = mongoose.model('Partner', partnerSchema);
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Reminder emails sent to donors. The unique index makes each reminder go out at most once,
+// even if the scheduler is restarted part way through a batch.
+const reminderLogSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['eligibility_restored'],
+    required: true
+  },
+  // Date the donor became eligible again; one reminder per eligibility window
+  eligibleSince: {
+    type: Date,
+    required: true
+  },
+  email: String,
+  emailSent: {
+    type: Boolean,
+    default: false
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+reminderLogSchema.index({ donor: 1, type: 1, eligibleSince: 1 }, { unique: true });
+
+export const ReminderLog = mongoose.model('ReminderLog', reminderLogSchema);
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { PERMISSION_KEYS, SUPER_ADMIN_ROLE, SYSTEM_ROLES, setRoles } from '../utils/permissions.js';
+
+// Named group of permissions assigned to admins through User.role
+const roleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,39}$/, 'Role key must be 2-40 lowercase letters, digits or underscores']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSION_KEYS
+  }],
+  // Built-in roles cannot be deleted; the super admin role cannot be edited either
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.virtual('isSuperAdmin').get(function() {
+  return this.key === SUPER_ADMIN_ROLE;
+});
+roleSchema.set('toJSON', { virtuals: true });
+
+// Create missing system roles, then refresh the permissions cache
+roleSchema.statics.load = async function() {
+  for (const role of SYSTEM_ROLES) {
+    await this.updateOne(
+      { key: role.key },
+      { $setOnInsert: { ...role, isSystem: true } },
+      { upsert: true }
+    );
+  }
+
+  const roles = await this.find({});
+  setRoles(roles);
+  return roles;
+};
+
+export const Role = mongoose.model('Role', roleSchema);
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import {
+  SCREENING_OUTCOMES,
+  SCREENING_QUESTION_KEYS,
+  SCREENING_REASON_CODES
+} from '../utils/screening.js';
+
+// One pre-donation screening attempt: vitals, questionnaire and the outcome
+const screeningSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    required: true,
+    index: true
+  },
+  camp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Camp',
+    index: true
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CampRegistration'
+  },
+  screenedAt: {
+    type: Date,
+    default: Date.now
+  },
+  vitals: {
+    hemoglobin: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    weightKg: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    systolic: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    diastolic: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    pulse: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    temperatureC: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  },
+  answers: [{
+    _id: false,
+    question: {
+      type: String,
+      enum: SCREENING_QUESTION_KEYS,
+      required: true
+    },
+    answer: {
+      type: Boolean,
+      required: true
+    }
+  }],
+  outcome: {
+    type: String,
+    enum: SCREENING_OUTCOMES,
+    required: true
+  },
+  reasonCode: {
+    type: String,
+    enum: Object.keys(SCREENING_REASON_CODES)
+  },
+  deferredUntil: Date,
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Deferral added to the donor for this screening
+  deferral: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Donation recorded after an accepted screening
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation'
+  },
+  screenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+screeningSchema.pre('validate', function(next) {
+  if (this.outcome && this.outcome !== 'accepted' && !this.reasonCode) {
+    this.invalidate('reasonCode', 'A reason code is required when deferring a donor');
+  }
+  next();
+});
+
+export const Screening = mongoose.model('Screening', screeningSchema);
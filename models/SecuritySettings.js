@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import { setSecuritySettings } from '../utils/twoFactor.js';
+
+// Single document holding account security settings, editable by the super admin
+const securitySettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Every admin must enroll in two-factor authentication before using the dashboard
+  requireAdminTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Load (creating with defaults if missing) the settings and refresh the cache
+securitySettingsSchema.statics.load = async function() {
+  let settings = await this.findOne({ key: 'default' });
+  if (!settings) {
+    settings = await this.create({ key: 'default' });
+  }
+  setSecuritySettings({ requireAdminTwoFactor: settings.requireAdminTwoFactor });
+  return settings;
+};
+
+export const SecuritySettings = mongoose.model('SecuritySettings', securitySettingsSchema);
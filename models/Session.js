@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Server-side login session holding the current refresh token (hashed)
+const sessionSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Token replaced by the last rotation; seeing it again means it was stolen
+  previousRefreshTokenHash: String,
+  device: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ account: 1, revokedAt: 1 });
+// Remove sessions a while after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Revoke every active session of an account, optionally keeping one
+sessionSchema.statics.revokeAll = function(accountId, { except, reason, revokedBy } = {}) {
+  const filter = { account: accountId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason, revokedBy });
+};
+
+export const Session = mongoose.model('Session', sessionSchema);
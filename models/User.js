@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { otpPlugin } from '../utils/otp.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,9 +24,59 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  otp: {
-    code: String,
-    expiresAt: Date
+  // Key of a Role document for admins ('main' is the super admin); missing for students
+  role: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  // Set for accounts created with a password chosen by someone else
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  passwordChangedAt: Date,
+  // Failed login tracking for progressive delays and temporary lockout
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date
+  },
+  // TOTP two-factor authentication for admins; secrets and recovery code hashes are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during enrollment, moved to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be used twice
+    lastUsedStep: Number,
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
+  // Hashed single-use password reset token
+  passwordReset: {
+    tokenHash: String,
+    expiresAt: Date,
+    requestedAt: Date
   }
 }, {
   timestamps: true
@@ -35,6 +86,7 @@ const userSchema = new mongoose.Schema({
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 12);
+  if (!this.isNew) this.passwordChangedAt = new Date();
   next();
 });
 
@@ -43,27 +95,17 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate OTP
-userSchema.methods.generateOTP = function() {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  this.otp = {
-    code: otp,
-    expiresAt: new Date(Date.now() + 5 * 60 * 1000) // 5 minutes
-  };
-  return otp;
+// True if the password changed after a token issued at `issuedAt` (JWT iat, in seconds)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
 };
 
-// Verify OTP
-userSchema.methods.verifyOTP = function(candidateOTP) {
-  if (!this.otp || !this.otp.code || !this.otp.expiresAt) {
-    return false;
-  }
-  
-  if (new Date() > this.otp.expiresAt) {
-    return false;
-  }
-  
-  return this.otp.code === candidateOTP;
-};
+// Accounts holding a role are admins
+userSchema.virtual('isAdmin').get(function() {
+  return Boolean(this.role);
+});
+
+userSchema.plugin(otpPlugin);
 
 export const User = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,539 @@
+import express from 'express';
+import { Camp, CAMP_STATUSES } from '../models/Camp.js';
+import { CampRegistration } from '../models/CampRegistration.js';
+import { User } from '../models/User.js';
+import { Partner } from '../models/Partner.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { getCampStats } from '../utils/campStats.js';
+import { getSlotAvailability, promoteFromWaitlist } from '../utils/slotBooking.js';
+import { checkInPass, syncOfflineScans } from '../utils/checkIn.js';
+
+const router = express.Router();
+
+const CAMP_FIELDS = ['name', 'description', 'venue', 'date', 'slots', 'partner', 'partnerBloodBank', 'targetUnits', 'volunteers', 'form'];
+
+const QUEUE_STATUSES = ['waiting', 'screening', 'done', 'ineligible'];
+const MAX_SYNC_SCANS = 500;
+
+const validationErrorResponse = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error: ' + messages.join(', ')
+  });
+};
+
+// Check that every assigned volunteer is an existing admin
+const volunteersExist = async (volunteers = []) => {
+  if (volunteers.length === 0) return true;
+  const count = await User.countDocuments({ _id: { $in: volunteers }, role: { $ne: null } });
+  return count === new Set(volunteers.map(String)).size;
+};
+
+// Get all camps for admin
+router.get('/', authenticate, requirePermission('camps:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { isActive: true };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const [camps, total] = await Promise.all([
+      Camp.find(query)
+        .populate('volunteers', 'name email')
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(limit),
+      Camp.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      camps,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get admin camps error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch camps'
+    });
+  }
+});
+
+// Get single camp with statistics
+router.get('/:id', authenticate, requirePermission('camps:read'), async (req, res) => {
+  try {
+    const camp = await Camp.findOne({ _id: req.params.id, isActive: true })
+      .populate('volunteers', 'name email')
+      .populate('partner', 'name contacts address')
+      .populate('createdBy', 'name')
+      .populate('form', 'title link eventDate');
+
+    if (!camp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Camp not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      camp,
+      stats: await getCampStats(camp)
+    });
+  } catch (error) {
+    console.error('Get camp error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch camp'
+    });
+  }
+});
+
+// Get camp statistics
+router.get('/:id/stats', authenticate, requirePermission('camps:read'), async (req, res) => {
+  try {
+    const camp = await Camp.findOne({ _id: req.params.id, isActive: true });
+    if (!camp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Camp not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      stats: await getCampStats(camp)
+    });
+  } catch (error) {
+    console.error('Get camp stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch camp statistics'
+    });
+  }
+});
+
+// Get camp registrations
+router.get('/:id/registrations', authenticate, requirePermission('camps:read'), async (req, res) => {
+  try {
+    const query = { camp: req.params.id, status: { $ne: 'cancelled' } };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const registrations = await CampRegistration.find(query)
+      .populate('donor', 'name rollNo bloodGroup phone email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      registrations
+    });
+  } catch (error) {
+    console.error('Get camp registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch registrations'
+    });
+  }
+});
+
+// Get the roster (booked and waitlisted donors) for one slot
+router.get('/:id/slots/:slotId/roster', authenticate, requirePermission('camps:read'), async (req, res) => {
+  try {
+    const camp = await Camp.findOne({ _id: req.params.id, isActive: true });
+    const slot = camp?.slots.id(req.params.slotId);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Camp or slot not found'
+      });
+    }
+
+    const registrations = await CampRegistration.find({
+      camp: camp._id,
+      slot: slot._id,
+      status: { $in: ['booked', 'waitlisted'] }
+    })
+      .populate('donor', 'name rollNo bloodGroup phone email')
+      .sort({ bookedAt: 1, waitlistedAt: 1 });
+
+    res.json({
+      success: true,
+      slot: (await getSlotAvailability(camp)).find(entry => entry.slotId.equals(slot._id)),
+      booked: registrations.filter(registration => registration.status === 'booked'),
+      waitlist: registrations
+        .filter(registration => registration.status === 'waitlisted')
+        .sort((a, b) => a.waitlistedAt - b.waitlistedAt)
+    });
+  } catch (error) {
+    console.error('Get slot roster error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch slot roster'
+    });
+  }
+});
+
+// Check in a donor by scanning their QR pass
+router.post('/:id/check-in', authenticate, requirePermission('camps:checkin'), async (req, res) => {
+  try {
+    const { token, deviceId } = req.body;
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pass token is required'
+      });
+    }
+
+    const camp = await Camp.findOne({ _id: req.params.id, isActive: true });
+    if (!camp || camp.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in is only possible while the camp is in progress'
+      });
+    }
+
+    const outcome = await checkInPass(camp, token, { adminId: req.user._id, deviceId });
+    const statusCode = { checked_in: 200, duplicate: 409, invalid: 400 }[outcome.result];
+
+    res.status(statusCode).json({
+      success: outcome.result === 'checked_in',
+      ...outcome
+    });
+  } catch (error) {
+    console.error('Camp check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in donor'
+    });
+  }
+});
+
+// Upload scans recorded while the check-in device was offline
+router.post('/:id/check-in/sync', authenticate, requirePermission('camps:checkin'), async (req, res) => {
+  try {
+    const { scans } = req.body;
+    if (!Array.isArray(scans) || scans.length === 0 || scans.length > MAX_SYNC_SCANS) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide between 1 and ${MAX_SYNC_SCANS} scans`
+      });
+    }
+
+    // Scans may be uploaded after the camp has been closed
+    const camp = await Camp.findOne({ _id: req.params.id, isActive: true });
+    if (!camp || !['in_progress', 'closed'].includes(camp.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scans can only be synced for camps that have started'
+      });
+    }
+
+    const results = await syncOfflineScans(camp, scans, req.user._id);
+    const count = (result) => results.filter(entry => entry.result === result).length;
+
+    res.json({
+      success: true,
+      summary: {
+        checkedIn: count('checked_in'),
+        duplicates: count('duplicate'),
+        invalid: count('invalid')
+      },
+      results
+    });
+  } catch (error) {
+    console.error('Check-in sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync scans'
+    });
+  }
+});
+
+// Get the screening queue
+router.get('/:id/queue', authenticate, requirePermission('camps:checkin'), async (req, res) => {
+  try {
+    const query = { camp: req.params.id, 'checkIn.at': { $ne: null } };
+    if (req.query.queueStatus) {
+      query.queueStatus = req.query.queueStatus;
+    }
+
+    const registrations = await CampRegistration.find(query)
+      .populate('donor', 'name rollNo bloodGroup phone')
+      .populate('checkIn.by', 'name')
+      .sort({ queueNumber: 1, 'checkIn.at': 1 });
+
+    res.json({
+      success: true,
+      queue: registrations
+    });
+  } catch (error) {
+    console.error('Get camp queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch queue'
+    });
+  }
+});
+
+// Move a checked-in donor along the screening queue
+router.put('/:id/queue/:registrationId', authenticate, requirePermission('camps:checkin'), async (req, res) => {
+  try {
+    const { queueStatus } = req.body;
+    if (!QUEUE_STATUSES.includes(queueStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Queue status must be one of: ${QUEUE_STATUSES.join(', ')}`
+      });
+    }
+
+    const registration = await CampRegistration.findOneAndUpdate(
+      { _id: req.params.registrationId, camp: req.params.id, 'checkIn.at': { $ne: null } },
+      { queueStatus },
+      { new: true }
+    );
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checked-in donor not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Queue updated',
+      registration
+    });
+  } catch (error) {
+    console.error('Update camp queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update queue'
+    });
+  }
+});
+
+// Check that the partner, if any, is an active blood bank in the directory
+const partnerExists = async (partnerId) => {
+  if (!partnerId) return true;
+  return Boolean(await Partner.exists({ _id: partnerId, type: 'blood_bank', isActive: true }));
+};
+
+// Create camp
+router.post('/', authenticate, requirePermission('camps:manage'), async (req, res) => {
+  try {
+    const data = {};
+    CAMP_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    if (!(await volunteersExist(data.volunteers))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more volunteers are not admins'
+      });
+    }
+
+    if (!(await partnerExists(data.partner))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Partner blood bank not found'
+      });
+    }
+
+    const camp = new Camp({
+      ...data,
+      createdBy: req.user._id,
+      statusHistory: [{ status: 'planned', changedBy: req.user._id }]
+    });
+    await camp.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Camp created successfully',
+      camp
+    });
+  } catch (error) {
+    console.error('Create camp error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create camp'
+    });
+  }
+});
+
+// Update camp details
+router.put('/:id', authenticate, requirePermission('camps:manage'), async (req, res) => {
+  try {
+    const camp = await Camp.findOne({ _id: req.params.id, isActive: true });
+    if (!camp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Camp not found'
+      });
+    }
+
+    if (camp.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Closed camps cannot be edited'
+      });
+    }
+
+    if (req.body.volunteers !== undefined && !(await volunteersExist(req.body.volunteers))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more volunteers are not admins'
+      });
+    }
+
+    if (req.body.partner !== undefined && !(await partnerExists(req.body.partner))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Partner blood bank not found'
+      });
+    }
+
+    // Slots that already have bookings cannot be removed
+    if (Array.isArray(req.body.slots)) {
+      const keptSlotIds = req.body.slots.filter(slot => slot._id).map(slot => String(slot._id));
+      const removedSlotIds = camp.slots.map(slot => slot._id).filter(id => !keptSlotIds.includes(String(id)));
+      const affected = await CampRegistration.countDocuments({
+        camp: camp._id,
+        slot: { $in: removedSlotIds },
+        status: { $in: ['booked', 'waitlisted'] }
+      });
+      if (affected > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Slots with bookings cannot be removed. Cancel or move the bookings first.'
+        });
+      }
+    }
+
+    CAMP_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) camp[field] = req.body[field];
+    });
+    await camp.save();
+
+    // Raised capacities free up places for people on the waitlist
+    for (const slot of camp.slots) {
+      await promoteFromWaitlist(camp, slot);
+    }
+
+    res.json({
+      success: true,
+      message: 'Camp updated successfully',
+      camp
+    });
+  } catch (error) {
+    console.error('Update camp error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update camp'
+    });
+  }
+});
+
+// Move camp through its lifecycle (planned -> open -> in_progress -> closed)
+router.post('/:id/status', authenticate, requirePermission('camps:manage'), async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!CAMP_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${CAMP_STATUSES.join(', ')}`
+      });
+    }
+
+    const camp = await Camp.findOne({ _id: req.params.id, isActive: true });
+    if (!camp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Camp not found'
+      });
+    }
+
+    if (!camp.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change camp status from ${camp.status} to ${status}`
+      });
+    }
+
+    await camp.transitionTo(status, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Camp is now ${status.replace('_', ' ')}`,
+      camp
+    });
+  } catch (error) {
+    console.error('Update camp status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update camp status'
+    });
+  }
+});
+
+// Delete camp (only while still planned)
+router.delete('/:id', authenticate, requirePermission('camps:manage'), async (req, res) => {
+  try {
+    const camp = await Camp.findOne({ _id: req.params.id, isActive: true });
+    if (!camp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Camp not found'
+      });
+    }
+
+    if (camp.status !== 'planned') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only planned camps can be deleted'
+      });
+    }
+
+    camp.isActive = false;
+    await camp.save();
+
+    res.json({
+      success: true,
+      message: 'Camp deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete camp error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete camp'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,193 @@
+import express from 'express';
+import { Certificate, CERTIFICATE_TYPES } from '../models/Certificate.js';
+import { Donor } from '../models/Donor.js';
+import { Donation } from '../models/Donation.js';
+import { Camp } from '../models/Camp.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { findCampParticipants, issueCampCertificates, streamCertificatesPdf } from '../utils/certificate.js';
+
+const router = express.Router();
+
+// Get issued certificates
+router.get('/', authenticate, requirePermission('certificates:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    ['camp', 'donor', 'type'].forEach(field => {
+      if (req.query[field]) query[field] = req.query[field];
+    });
+
+    const [certificates, total] = await Promise.all([
+      Certificate.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Certificate.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      certificates,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get certificates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch certificates'
+    });
+  }
+});
+
+// Issue a certificate for a donation ({ donationId }) or camp participation ({ campId, donorId })
+router.post('/', authenticate, requirePermission('certificates:manage'), async (req, res) => {
+  try {
+    const { donationId, campId, donorId } = req.body;
+
+    let certificate;
+    if (donationId) {
+      const donation = await Donation.findOne({ _id: donationId, isVoid: false, outcome: 'donated' });
+      const donor = donation && await Donor.findById(donation.donor);
+      if (!donor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Donation not found'
+        });
+      }
+      const camp = donation.camp ? await Camp.findById(donation.camp) : null;
+      certificate = await Certificate.issue({ type: 'donation', donor, donation, camp, issuedBy: req.user._id });
+    } else {
+      const camp = await Camp.findOne({ _id: campId, isActive: true });
+      const participants = camp ? await findCampParticipants(camp) : [];
+      const donor = participants.find(participant => participant._id.equals(donorId));
+      if (!donor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Donor did not take part in this camp'
+        });
+      }
+      certificate = await Certificate.issue({ type: 'camp_participation', donor, camp, issuedBy: req.user._id });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Certificate issued',
+      certificate
+    });
+  } catch (error) {
+    console.error('Issue certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue certificate'
+    });
+  }
+});
+
+// Issue certificates for everyone at a closed camp
+router.post('/camps/:campId', authenticate, requirePermission('certificates:manage'), async (req, res) => {
+  try {
+    const { type = 'donation' } = req.body;
+    if (!CERTIFICATE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${CERTIFICATE_TYPES.join(', ')}`
+      });
+    }
+
+    const camp = await Camp.findOne({ _id: req.params.campId, isActive: true });
+    if (!camp || camp.status !== 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Certificates can be generated once the camp is closed'
+      });
+    }
+
+    const certificates = await issueCampCertificates(camp, type, req.user._id);
+
+    res.json({
+      success: true,
+      message: `${certificates.length} certificates ready`,
+      certificates
+    });
+  } catch (error) {
+    console.error('Bulk certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate certificates'
+    });
+  }
+});
+
+// Download all certificates of a camp as one printable PDF
+router.get('/camps/:campId/pdf', authenticate, requirePermission('certificates:manage'), async (req, res) => {
+  try {
+    const type = CERTIFICATE_TYPES.includes(req.query.type) ? req.query.type : 'donation';
+    const certificates = await Certificate.find({ camp: req.params.campId, type, revokedAt: null })
+      .sort({ donorName: 1 });
+
+    if (certificates.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No certificates have been generated for this camp'
+      });
+    }
+
+    await streamCertificatesPdf(certificates, res, `certificates-${req.params.campId}-${type}.pdf`);
+  } catch (error) {
+    console.error('Download camp certificates error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate certificates'
+      });
+    }
+  }
+});
+
+// Revoke a certificate issued in error; verification will report it as revoked
+router.post('/:certificateId/revoke', authenticate, requirePermission('certificates:manage'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to revoke a certificate'
+      });
+    }
+
+    const certificate = await Certificate.findOneAndUpdate(
+      { certificateId: req.params.certificateId, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.user._id, revokeReason: reason },
+      { new: true }
+    );
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found or already revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Certificate revoked',
+      certificate
+    });
+  } catch (error) {
+    console.error('Revoke certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke certificate'
+    });
+  }
+});
+
+export default router;
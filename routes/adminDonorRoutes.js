@@ -1,26 +1,100 @@
 import express from 'express';
-import { Donor } from '../models/Donor.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { Donor, donorContactErrors } from '../models/Donor.js';
+import { Donation } from '../models/Donation.js';
+import { Camp } from '../models/Camp.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { hasPermission } from '../utils/permissions.js';
+import { DONATION_TYPES, evaluateEligibility, getEligibilityRules, getMinimumInterval } from '../utils/eligibility.js';
+import { buildDonorQuery, buildDonorSort, filterByEligibility } from '../utils/donorFilters.js';
+import { parseDonorSpreadsheet, importDonors } from '../utils/donorImport.js';
+import { spreadsheetUpload } from '../middleware/upload.js';
+import {
+  EXPORT_FORMATS,
+  RESTRICTED_COLUMNS,
+  parseExportColumns,
+  streamDonorExport
+} from '../utils/donorExport.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { findDuplicateGroups } from '../utils/donorDuplicates.js';
+import { Screening } from '../models/Screening.js';
+import { BloodUnit, COMPONENT_FOR_DONATION_TYPE, unitNumberFor } from '../models/BloodUnit.js';
+import { Certificate } from '../models/Certificate.js';
+import { ReminderLog } from '../models/ReminderLog.js';
+import {
+  REMINDER_SETTINGS,
+  findDueReminders,
+  findUpcomingCamps,
+  remainingReminderQuota
+} from '../utils/reminderService.js';
+import { CampRegistration } from '../models/CampRegistration.js';
+import {
+  SCREENING_OUTCOMES,
+  SCREENING_QUESTIONS,
+  SCREENING_QUESTION_KEYS,
+  SCREENING_REASON_CODES,
+  VITAL_LIMITS,
+  assessScreening
+} from '../utils/screening.js';
 
 const router = express.Router();
 
-// Get all donors for admin (includes medical history)
-router.get('/', authenticate, authorize('admin'), async (req, res) => {
+// Donations dated within this window of now are live collections; older ones are backdated ledger entries
+const LIVE_DONATION_WINDOW_MS = 12 * 60 * 60 * 1000;
+
+// Admins without medical access see eligibility but not medical history or deferral details
+const toDonorView = (donor, req) => {
+  if (hasPermission(req, 'donors:read_medical')) return donor;
+
+  const { medicalHistory, deferrals, pendingChanges, eligibility, ...data } = donor.toJSON();
+  return {
+    ...data,
+    eligibility: {
+      eligible: eligibility.eligible,
+      nextEligibleDate: eligibility.nextEligibleDate,
+      daysUntilEligible: eligibility.daysUntilEligible
+    }
+  };
+};
+
+// Find one page of donors matching the shared list/search/export filters
+const findDonorsPage = async (params, page, limit) => {
+  const query = buildDonorQuery(params);
+  const sort = buildDonorSort(params);
+  const skip = (page - 1) * limit;
+
+  if (params.eligibility) {
+    // Eligibility comes from the rules engine, so filter and paginate in memory
+    const matching = filterByEligibility(await Donor.find(query).sort(sort), params.eligibility);
+    const groupCounts = matching.reduce((counts, donor) => {
+      counts[donor.bloodGroup] = (counts[donor.bloodGroup] || 0) + 1;
+      return counts;
+    }, {});
+    return { donors: matching.slice(skip, skip + limit), total: matching.length, groupCounts };
+  }
+
+  const [donors, total, grouped] = await Promise.all([
+    Donor.find(query).sort(sort).skip(skip).limit(limit),
+    Donor.countDocuments(query),
+    Donor.aggregate([
+      { $match: query },
+      { $group: { _id: '$bloodGroup', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return { donors, total, groupCounts: Object.fromEntries(grouped.map(group => [group._id, group.count])) };
+};
+
+// Get all donors for admin (medical history needs donors:read_medical); accepts the same filters as /search
+router.get('/', authenticate, requirePermission('donors:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const donors = await Donor.find({ isActive: true })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
 
-    const total = await Donor.countDocuments({ isActive: true });
+    const { donors, total } = await findDonorsPage(req.query, page, limit);
 
     res.json({
       success: true,
-      donors,
+      donors: donors.map(donor => toDonorView(donor, req)),
       pagination: {
         page,
         limit,
@@ -29,6 +103,13 @@ router.get('/', authenticate, authorize('admin'), async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get admin donors error:', error);
     res.status(500).json({
       success: false,
@@ -37,8 +118,311 @@ router.get('/', authenticate, authorize('admin'), async (req, res) => {
   }
 });
 
+// Search donors by recipient compatibility, eligibility, branch, year, last donation and free text
+router.get('/search', authenticate, requirePermission('donors:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { donors, total, groupCounts } = await findDonorsPage(req.query, page, limit);
+
+    res.json({
+      success: true,
+      donors: donors.map(donor => toDonorView(donor, req)),
+      groupCounts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Search donors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search donors'
+    });
+  }
+});
+
+// Export the filtered donor list as CSV, XLSX or PDF
+router.get('/export', authenticate, requirePermission('donors:export'), async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toString().toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    let columns, query;
+    try {
+      columns = parseExportColumns(req.query.columns);
+      query = buildDonorQuery(req.query);
+    } catch (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Medical history leaves the system only when explicitly asked for by someone allowed to
+    const restricted = columns.filter(column => RESTRICTED_COLUMNS.includes(column));
+    if (restricted.length > 0 && !hasPermission(req, 'donors:export_medical')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Exporting medical history requires the donors:export_medical permission.'
+      });
+    }
+
+    const cursor = Donor.find(query).sort(buildDonorSort(req.query)).cursor();
+    const donors = (async function* () {
+      for await (const donor of cursor) {
+        if (filterByEligibility([donor], req.query.eligibility).length > 0) yield donor;
+      }
+    })();
+
+    const filters = { ...req.query };
+    delete filters.format;
+    delete filters.columns;
+
+    const rowCount = await streamDonorExport(res, donors, columns, format);
+
+    await AuditLog.record(req, 'donors.export', { format, columns, filters, rowCount })
+      .catch(error => console.error('Export audit log error:', error));
+  } catch (error) {
+    console.error('Export donors error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export donors'
+    });
+  }
+});
+
+// Get the donor export log
+router.get('/exports', authenticate, requirePermission('donors:export_medical'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { action: 'donors.export' };
+    const [exports, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      exports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get export log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch export log'
+    });
+  }
+});
+
+// Find groups of probable duplicate donors
+router.get('/duplicates', authenticate, requirePermission('donors:write'), async (req, res) => {
+  try {
+    const donors = await Donor.find({ isActive: true })
+      .select('name rollNo bloodGroup phone email branch year donationCount lastDonation createdAt updatedAt');
+
+    const groups = findDuplicateGroups(donors);
+
+    res.json({
+      success: true,
+      totalGroups: groups.length,
+      duplicateRecords: groups.reduce((sum, group) => sum + group.donors.length - 1, 0),
+      groups
+    });
+  } catch (error) {
+    console.error('Find duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find duplicate donors'
+    });
+  }
+});
+
+// Merge duplicate donors into a surviving record
+router.post('/merge', authenticate, requirePermission('donors:write'), async (req, res) => {
+  try {
+    const { survivorId, duplicateIds } = req.body;
+
+    if (!survivorId || !Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'survivorId and a non-empty duplicateIds list are required'
+      });
+    }
+
+    if (duplicateIds.map(String).includes(String(survivorId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The surviving donor cannot also be a duplicate'
+      });
+    }
+
+    const [survivor, duplicates] = await Promise.all([
+      Donor.findOne({ _id: survivorId, isActive: true }),
+      Donor.find({ _id: { $in: duplicateIds }, isActive: true })
+    ]);
+
+    if (!survivor || duplicates.length !== new Set(duplicateIds.map(String)).size) {
+      return res.status(404).json({
+        success: false,
+        message: 'Surviving donor or one of the duplicates not found'
+      });
+    }
+
+    await Donor.mergeInto(survivor, duplicates, req.user._id);
+
+    await AuditLog.record(req, 'donors.merge', {
+      survivorId: survivor._id,
+      duplicateIds: duplicates.map(donor => donor._id)
+    });
+
+    res.json({
+      success: true,
+      message: `${duplicates.length} duplicate donor(s) merged successfully`,
+      donor: survivor
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Merge donors error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid donor id'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge donors'
+    });
+  }
+});
+
+// Get donors with self-service changes awaiting confirmation
+router.get('/pending-changes', authenticate, requirePermission('donors:write'), async (req, res) => {
+  try {
+    const donors = await Donor.find({ isActive: true, 'pendingChanges.requestedAt': { $ne: null } })
+      .select('name rollNo bloodGroup email pendingChanges')
+      .sort({ 'pendingChanges.requestedAt': 1 });
+
+    res.json({
+      success: true,
+      donors
+    });
+  } catch (error) {
+    console.error('Get pending changes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pending changes'
+    });
+  }
+});
+
+// Preview the next batch of "you can donate again" reminders
+router.get('/reminders/preview', authenticate, requirePermission('donors:read'), async (req, res) => {
+  try {
+    const [due, quota, camps] = await Promise.all([
+      findDueReminders(),
+      remainingReminderQuota(),
+      findUpcomingCamps()
+    ]);
+
+    res.json({
+      success: true,
+      settings: REMINDER_SETTINGS,
+      due: due.length,
+      remainingThisHour: quota,
+      nextBatch: due.slice(0, quota).map(({ donor, eligibleSince }) => ({
+        donorId: donor._id,
+        name: donor.name,
+        email: donor.email,
+        bloodGroup: donor.bloodGroup,
+        eligibleSince
+      })),
+      upcomingCamps: camps
+    });
+  } catch (error) {
+    console.error('Reminder preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview reminders'
+    });
+  }
+});
+
+// Get recently sent reminders
+router.get('/reminders/log', authenticate, requirePermission('donors:read'), async (req, res) => {
+  try {
+    const logs = await ReminderLog.find()
+      .populate('donor', 'name email')
+      .sort({ sentAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200));
+
+    res.json({
+      success: true,
+      logs
+    });
+  } catch (error) {
+    console.error('Reminder log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reminder log'
+    });
+  }
+});
+
+// Get the screening questionnaire, vitals limits and deferral reason codes
+router.get('/screening-questions', authenticate, requirePermission('screening:perform'), async (req, res) => {
+  res.json({
+    success: true,
+    questions: SCREENING_QUESTIONS,
+    vitalLimits: { ...VITAL_LIMITS, weightKg: { min: getEligibilityRules().minWeightKg } },
+    outcomes: SCREENING_OUTCOMES,
+    reasonCodes: Object.keys(SCREENING_REASON_CODES)
+  });
+});
+
 // Get single donor
-router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.get('/:id', authenticate, requirePermission('donors:read'), async (req, res) => {
   try {
     const donor = await Donor.findById(req.params.id);
     if (!donor) {
@@ -50,7 +434,7 @@ router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
 
     res.json({
       success: true,
-      donor
+      donor: toDonorView(donor, req)
     });
   } catch (error) {
     console.error('Get donor error:', error);
@@ -62,9 +446,9 @@ router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Create donor
-router.post('/', authenticate, authorize('admin'), async (req, res) => {
+router.post('/', authenticate, requirePermission('donors:write'), async (req, res) => {
   try {
-    const { name, rollNo, bloodGroup, age, phone, email, branch, year, medicalHistory, lastDonation } = req.body;
+    const { name, rollNo, bloodGroup, age, sex, weightKg, phone, email, branch, year, medicalHistory, lastDonation } = req.body;
 
     // Validate blood group
     const validBloodGroups = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
@@ -75,11 +459,20 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
       });
     }
 
-    // Validate age
-    if (age < 16 || age > 65) {
+    // Validate age against the eligibility rules
+    const { minAge, maxAge } = getEligibilityRules();
+    if (!(age >= minAge && age <= maxAge)) {
+      return res.status(400).json({
+        success: false,
+        message: `Age must be between ${minAge} and ${maxAge}`
+      });
+    }
+
+    const contactErrors = donorContactErrors({ phone, email });
+    if (contactErrors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Age must be between 16 and 65'
+        message: 'Validation error: ' + contactErrors.join(', ')
       });
     }
 
@@ -88,16 +481,26 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
       rollNo,
       bloodGroup,
       age,
+      sex,
+      weightKg,
       phone,
       email,
       branch,
       year,
-      medicalHistory,
-      lastDonation: lastDonation ? new Date(lastDonation) : undefined
+      medicalHistory
     });
 
     await donor.save();
 
+    // A previous donation given at registration becomes the first ledger entry
+    if (lastDonation) {
+      await donor.recordDonation({
+        donatedAt: new Date(lastDonation),
+        event: 'Recorded at registration',
+        recordedBy: req.user._id
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Donor registered successfully',
@@ -105,6 +508,15 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
     });
   } catch (error) {
     console.error('Create donor error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + messages.join(', ')
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to register donor'
@@ -112,10 +524,51 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
   }
 });
 
+// Bulk import donors from CSV/XLSX (dryRun=true returns the report without saving)
+router.post('/import', authenticate, requirePermission('donors:write'), spreadsheetUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or XLSX file'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+    let rows;
+    try {
+      rows = await parseDonorSpreadsheet(req.file);
+    } catch (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.status ? error.message : 'Could not read the uploaded file'
+      });
+    }
+
+    const { summary, rows: report } = await importDonors(rows, { dryRun, adminId: req.user._id });
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Dry run completed. No changes were saved.' : 'Donor import completed',
+      dryRun,
+      summary,
+      rows: report
+    });
+  } catch (error) {
+    console.error('Import donors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import donors'
+    });
+  }
+});
+
 // Update donor
-router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('donors:write'), async (req, res) => {
   try {
-    const { name, rollNo, bloodGroup, age, phone, email, branch, year, medicalHistory, lastDonation } = req.body;
+    // lastDonation is derived from the donation ledger and cannot be edited here
+    const { name, rollNo, bloodGroup, age, sex, weightKg, phone, email, branch, year, medicalHistory } = req.body;
 
     // Validate blood group
     const validBloodGroups = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
@@ -126,11 +579,20 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
       });
     }
 
-    // Validate age
-    if (age < 16 || age > 65) {
+    // Validate age against the eligibility rules
+    const { minAge, maxAge } = getEligibilityRules();
+    if (!(age >= minAge && age <= maxAge)) {
+      return res.status(400).json({
+        success: false,
+        message: `Age must be between ${minAge} and ${maxAge}`
+      });
+    }
+
+    const contactErrors = donorContactErrors({ phone, email });
+    if (contactErrors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Age must be between 16 and 65'
+        message: 'Validation error: ' + contactErrors.join(', ')
       });
     }
 
@@ -139,12 +601,13 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
       rollNo,
       bloodGroup,
       age,
+      sex,
+      weightKg,
       phone,
       email,
       branch,
       year,
-      medicalHistory,
-      lastDonation: lastDonation ? new Date(lastDonation) : undefined
+      medicalHistory
     };
 
     const donor = await Donor.findByIdAndUpdate(
@@ -167,6 +630,15 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
     });
   } catch (error) {
     console.error('Update donor error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + messages.join(', ')
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to update donor'
@@ -175,7 +647,7 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Delete donor
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('donors:write'), async (req, res) => {
   try {
     const donor = await Donor.findByIdAndUpdate(
       req.params.id,
@@ -204,8 +676,22 @@ router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Record a new donation
-router.post('/:id/record-donation', authenticate, authorize('admin'), async (req, res) => {
+router.post('/:id/record-donation', authenticate, requirePermission('donations:record'), async (req, res) => {
   try {
+    const {
+      donatedAt,
+      donationType = 'whole_blood',
+      event,
+      volumeMl,
+      bagNumber,
+      outcome = 'donated',
+      deferralNotes,
+      campId,
+      screeningId,
+      storageLocation,
+      backdated = false
+    } = req.body;
+
     const donor = await Donor.findById(req.params.id);
 
     if (!donor || !donor.isActive) {
@@ -215,27 +701,650 @@ router.post('/:id/record-donation', authenticate, authorize('admin'), async (req
       });
     }
 
-    // Check if donor is eligible for donation (3 months = 90 days)
-    if (!donor.isEligibleForDonation) {
+    const donationDate = donatedAt ? new Date(donatedAt) : new Date();
+    if (isNaN(donationDate.getTime()) || donationDate > new Date()) {
       return res.status(400).json({
         success: false,
-        message: `Donor is not eligible. Must wait ${donor.getDaysUntilEligible()} more days.`
+        message: 'Donation date must be a valid date that is not in the future'
       });
     }
+    const isLiveEntry = Date.now() - donationDate.getTime() < LIVE_DONATION_WINDOW_MS;
 
-    // Record the donation
-    await donor.recordDonation();
+    if (!DONATION_TYPES.includes(donationType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid donation type'
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Donation recorded successfully',
-      donor
-    });
-  } catch (error) {
-    console.error('Record donation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to record donation'
+    if (!['donated', 'deferred'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Outcome must be either donated or deferred'
+      });
+    }
+
+    // A donation may be linked to the accepted screening that cleared it
+    let screening = null;
+    if (screeningId) {
+      screening = await Screening.findOne({ _id: screeningId, donor: donor._id });
+      if (!screening || screening.outcome !== 'accepted' || screening.donation) {
+        return res.status(400).json({
+          success: false,
+          message: 'Screening not found, not accepted, or already used for a donation'
+        });
+      }
+    }
+
+    // Check that the donor was eligible on the donation date (deferrals and the minimum interval
+    // included). Only entries clearly in the past and explicitly marked as backdated skip this, and
+    // skipping is audited.
+    if (outcome === 'donated') {
+      const eligibility = evaluateEligibility(donor, { date: donationDate });
+      const skipCheck = backdated === true && !isLiveEntry;
+
+      if (!eligibility.eligible && !skipCheck) {
+        return res.status(400).json({
+          success: false,
+          message: eligibility.daysUntilEligible
+            ? `Donor is not eligible. Must wait ${eligibility.daysUntilEligible} more days.`
+            : 'Donor is not eligible to donate.',
+          reasons: eligibility.reasons,
+          nextEligibleDate: eligibility.nextEligibleDate
+        });
+      }
+
+      if (!eligibility.eligible) {
+        await AuditLog.record(req, 'donations.backdated_ineligible', {
+          donorId: donor._id,
+          donatedAt: donationDate,
+          reasons: eligibility.reasons.map(reason => reason.code)
+        });
+      }
+    }
+
+    // Attach to the given camp, or to the camp currently in progress for live entries
+    let camp = null;
+    if (campId || screening?.camp) {
+      camp = await Camp.findOne({ _id: campId || screening.camp, isActive: true });
+      if (!camp) {
+        return res.status(404).json({
+          success: false,
+          message: 'Camp not found'
+        });
+      }
+    } else if (isLiveEntry) {
+      camp = await Camp.findActiveCampFor(req.user._id, donationDate);
+    }
+
+    // Live collections get an inventory unit labelled with the bag number, which must be unused
+    const createsUnits = outcome === 'donated' && isLiveEntry;
+    if (createsUnits && bagNumber &&
+      await BloodUnit.exists({ unitNumber: unitNumberFor(bagNumber, COMPONENT_FOR_DONATION_TYPE[donationType]) })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A blood unit with this bag number already exists'
+      });
+    }
+
+    // Record the donation
+    const donation = await donor.recordDonation({
+      donatedAt: donationDate,
+      donationType,
+      event: event || camp?.name,
+      camp: camp?._id,
+      volumeMl,
+      bagNumber,
+      outcome,
+      deferralNotes,
+      recordedBy: req.user._id
+    });
+
+    // Live collections go into inventory, quarantined until tested.
+    // If the unit cannot be created the donation is taken back out of the ledger.
+    let units = [];
+    if (createsUnits) {
+      try {
+        units = await BloodUnit.createForDonation(donation, donor, {
+          storageLocation,
+          createdBy: req.user._id
+        });
+      } catch (error) {
+        await Donation.deleteOne({ _id: donation._id });
+        await donor.syncDonationHistory();
+
+        if (error.code === 11000) {
+          return res.status(400).json({
+            success: false,
+            message: 'A blood unit with this bag number already exists'
+          });
+        }
+        throw error;
+      }
+    }
+
+    if (screening) {
+      screening.donation = donation._id;
+      await screening.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Donation recorded successfully',
+      donor,
+      donation,
+      units
+    });
+  } catch (error) {
+    console.error('Record donation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record donation'
+    });
+  }
+});
+
+// Get donation history for a donor
+router.get('/:id/donations', authenticate, requirePermission('donors:read'), async (req, res) => {
+  try {
+    const donor = await Donor.findById(req.params.id);
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donor not found'
+      });
+    }
+
+    const query = { donor: donor._id };
+    if (req.query.includeVoid !== 'true') {
+      query.isVoid = false;
+    }
+
+    const donations = await Donation.find(query)
+      .populate('recordedBy', 'name')
+      .populate('voidedBy', 'name')
+      .sort({ donatedAt: -1 });
+
+    res.json({
+      success: true,
+      donationCount: donor.donationCount,
+      lastDonation: donor.lastDonation,
+      donations
+    });
+  } catch (error) {
+    console.error('Get donations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch donation history'
+    });
+  }
+});
+
+// Fields that decide the inventory units and certificate of a donation
+const DONATION_OUTPUT_FIELDS = ['outcome', 'bagNumber', 'donationType'];
+
+// Another counted donation of the donor that is closer to `donation` than the minimum interval allows
+const findIntervalConflict = async (donor, donation) => {
+  const rules = getEligibilityRules();
+  const others = await Donation.find({ ...Donation.countedFilter(donor._id), _id: { $ne: donation._id } })
+    .select('donatedAt donationType');
+
+  return others.find(other => {
+    const [earlier, later] = other.donatedAt <= donation.donatedAt ? [other, donation] : [donation, other];
+    const minDays = getMinimumInterval(rules, donor.sex, earlier.donationType || 'whole_blood');
+    return later.donatedAt - earlier.donatedAt < minDays * 24 * 60 * 60 * 1000;
+  });
+};
+
+// Correct a donation entry
+router.put('/:id/donations/:donationId', authenticate, requirePermission('donations:record'), async (req, res) => {
+  try {
+    const donation = await Donation.findOne({ _id: req.params.donationId, donor: req.params.id });
+    if (!donation || donation.isVoid) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donation not found'
+      });
+    }
+
+    const editableFields = ['donatedAt', 'donationType', 'event', 'volumeMl', 'bagNumber', 'outcome', 'deferralNotes'];
+    const previous = {};
+
+    // Units and certificates were made from these values; such donations are voided and recorded again instead
+    const changedOutputs = DONATION_OUTPUT_FIELDS.filter(field =>
+      req.body[field] !== undefined && String(req.body[field]) !== String(donation[field] ?? '')
+    );
+    if (changedOutputs.length > 0) {
+      const [hasUnits, hasCertificate] = await Promise.all([
+        BloodUnit.exists({ donation: donation._id }),
+        Certificate.exists({ donation: donation._id, revokedAt: null })
+      ]);
+      if (hasUnits || hasCertificate) {
+        return res.status(400).json({
+          success: false,
+          message: `${changedOutputs.join(', ')} cannot be corrected once blood units or a certificate exist. Void the donation and record it again.`
+        });
+      }
+    }
+
+    for (const field of editableFields) {
+      if (req.body[field] === undefined) continue;
+      previous[field] = donation[field];
+      donation[field] = field === 'donatedAt' ? new Date(req.body[field]) : req.body[field];
+    }
+
+    if (Object.keys(previous).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No changes provided'
+      });
+    }
+
+    if (isNaN(donation.donatedAt.getTime()) || donation.donatedAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Donation date must be a valid date that is not in the future'
+      });
+    }
+
+    const donor = await Donor.findById(req.params.id);
+
+    // A moved or newly counted donation must still respect the minimum interval to the donor's other donations
+    const intervalAffected = ['donatedAt', 'outcome', 'donationType'].some(field => previous[field] !== undefined);
+    if (intervalAffected && donation.outcome === 'donated') {
+      const conflict = await findIntervalConflict(donor, donation);
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          message: `This date is within the minimum interval of another donation on ${conflict.donatedAt.toDateString()}`
+        });
+      }
+    }
+
+    donation.corrections.push({ changedBy: req.user._id, previous });
+    await donation.save();
+    await donor.syncDonationHistory();
+
+    // Units in stock expire relative to the corrected collection date
+    if (previous.donatedAt !== undefined) {
+      const units = await BloodUnit.find({ donation: donation._id, status: { $in: ['quarantined', 'available'] } });
+      for (const unit of units) {
+        unit.collectedAt = donation.donatedAt;
+        await unit.save();
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Donation corrected successfully',
+      donation
+    });
+  } catch (error) {
+    console.error('Correct donation error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to correct donation'
+    });
+  }
+});
+
+// Void a donation entry (kept in the ledger but no longer counted)
+router.post('/:id/donations/:donationId/void', authenticate, requirePermission('donations:record'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to void a donation'
+      });
+    }
+
+    const donation = await Donation.findOne({ _id: req.params.donationId, donor: req.params.id });
+    if (!donation || donation.isVoid) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donation not found or already void'
+      });
+    }
+
+    donation.isVoid = true;
+    donation.voidReason = reason;
+    donation.voidedBy = req.user._id;
+    donation.voidedAt = new Date();
+    await donation.save();
+
+    const donor = await Donor.findById(req.params.id);
+    await donor.syncDonationHistory();
+
+    // Units from a voided donation can no longer be used
+    const units = await BloodUnit.find({ donation: donation._id, status: { $in: ['quarantined', 'available'] } });
+    for (const unit of units) {
+      unit.transitionTo('discarded', req.user._id, 'Donation voided');
+      unit.discardReason = `Donation voided: ${reason}`;
+      unit.discardedAt = new Date();
+      await unit.save();
+    }
+
+    // Its certificate must no longer verify as genuine
+    await Certificate.updateMany(
+      { donation: donation._id, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.user._id, revokeReason: `Donation voided: ${reason}` }
+    );
+
+    res.json({
+      success: true,
+      message: 'Donation voided successfully',
+      donation
+    });
+  } catch (error) {
+    console.error('Void donation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to void donation'
+    });
+  }
+});
+
+// Add a deferral (tattoo, illness, medication, ...) for a donor
+router.post('/:id/deferrals', authenticate, requirePermission('screening:perform'), async (req, res) => {
+  try {
+    const { category, notes, permanent = false, until } = req.body;
+
+    const donor = await Donor.findById(req.params.id);
+    if (!donor || !donor.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donor not found'
+      });
+    }
+
+    if (until && (isNaN(new Date(until).getTime()) || new Date(until) <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deferral end date must be a valid future date'
+      });
+    }
+
+    const deferral = donor.addDeferral({
+      category,
+      notes,
+      permanent: Boolean(permanent),
+      until,
+      recordedBy: req.user._id
+    });
+    await donor.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Deferral recorded successfully',
+      deferral,
+      eligibility: donor.eligibility
+    });
+  } catch (error) {
+    console.error('Add deferral error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record deferral'
+    });
+  }
+});
+
+// Record a pre-donation screening. Deferrals are added to the donor so they feed eligibility.
+router.post('/:id/screenings', authenticate, requirePermission('screening:perform'), async (req, res) => {
+  try {
+    const { vitals = {}, outcome, reasonCode, deferredUntil, notes, campId, registrationId } = req.body;
+
+    const donor = await Donor.findById(req.params.id);
+    if (!donor || !donor.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donor not found'
+      });
+    }
+
+    // Answers may be sent as { question: answer } or [{ question, answer }]
+    const answers = Array.isArray(req.body.answers)
+      ? req.body.answers
+      : Object.entries(req.body.answers || {}).map(([question, answer]) => ({ question, answer }));
+
+    const unanswered = SCREENING_QUESTION_KEYS.filter(key =>
+      !answers.some(entry => entry.question === key && typeof entry.answer === 'boolean')
+    );
+    if (unanswered.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please answer every screening question. Missing: ${unanswered.join(', ')}`
+      });
+    }
+
+    if (!SCREENING_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `Outcome must be one of: ${SCREENING_OUTCOMES.join(', ')}`
+      });
+    }
+
+    const findings = assessScreening({ vitals, answers }, { minWeightKg: getEligibilityRules().minWeightKg });
+
+    if (outcome === 'accepted') {
+      if (findings.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Screening results do not allow accepting this donor',
+          findings
+        });
+      }
+
+      const eligibility = donor.eligibility;
+      if (!eligibility.eligible) {
+        return res.status(400).json({
+          success: false,
+          message: 'Donor is not eligible to donate.',
+          reasons: eligibility.reasons,
+          nextEligibleDate: eligibility.nextEligibleDate
+        });
+      }
+    }
+
+    if (outcome === 'temporarily_deferred' && deferredUntil &&
+      (isNaN(new Date(deferredUntil).getTime()) || new Date(deferredUntil) <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deferral end date must be a valid future date'
+      });
+    }
+
+    // Attach to the given camp, or to the camp currently in progress
+    const camp = campId
+      ? await Camp.findOne({ _id: campId, isActive: true })
+      : await Camp.findActiveCampFor(req.user._id);
+    if (campId && !camp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Camp not found'
+      });
+    }
+
+    const registration = registrationId
+      ? await CampRegistration.findOne({ _id: registrationId, donor: donor._id })
+      : camp && await CampRegistration.findOne({ camp: camp._id, donor: donor._id, status: 'booked' });
+
+    const screening = new Screening({
+      donor: donor._id,
+      camp: camp?._id,
+      registration: registration?._id,
+      vitals,
+      answers,
+      outcome,
+      reasonCode,
+      notes,
+      screenedBy: req.user._id
+    });
+    await screening.validate();
+
+    donor.weightKg = vitals.weightKg;
+    if (outcome !== 'accepted') {
+      const deferral = donor.addDeferral({
+        category: SCREENING_REASON_CODES[reasonCode],
+        notes: [`Screening: ${reasonCode.replace(/_/g, ' ')}`, notes].filter(Boolean).join(' - '),
+        permanent: outcome === 'permanently_deferred',
+        until: deferredUntil,
+        recordedBy: req.user._id,
+        screening: screening._id
+      });
+      screening.deferral = deferral._id;
+      screening.deferredUntil = deferral.until;
+    }
+    await donor.save();
+    await screening.save();
+
+    if (registration) {
+      registration.queueStatus = outcome === 'accepted' ? 'done' : 'ineligible';
+      await registration.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: outcome === 'accepted' ? 'Donor accepted for donation' : 'Donor deferred',
+      screening,
+      findings,
+      eligibility: donor.eligibility
+    });
+  } catch (error) {
+    console.error('Record screening error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record screening'
+    });
+  }
+});
+
+// Get screening history for a donor
+router.get('/:id/screenings', authenticate, requirePermission('donors:read_medical'), async (req, res) => {
+  try {
+    const screenings = await Screening.find({ donor: req.params.id })
+      .populate('screenedBy', 'name')
+      .populate('camp', 'name date')
+      .sort({ screenedAt: -1 });
+
+    res.json({
+      success: true,
+      screenings
+    });
+  } catch (error) {
+    console.error('Get screenings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch screenings'
+    });
+  }
+});
+
+// Lift a deferral before it expires
+router.post('/:id/deferrals/:deferralId/lift', authenticate, requirePermission('screening:perform'), async (req, res) => {
+  try {
+    const donor = await Donor.findById(req.params.id);
+    const deferral = donor?.deferrals.id(req.params.deferralId);
+
+    if (!deferral || deferral.liftedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deferral not found or already lifted'
+      });
+    }
+
+    deferral.liftedAt = new Date();
+    deferral.liftedBy = req.user._id;
+    await donor.save();
+
+    res.json({
+      success: true,
+      message: 'Deferral lifted successfully',
+      eligibility: donor.eligibility
+    });
+  } catch (error) {
+    console.error('Lift deferral error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lift deferral'
+    });
+  }
+});
+
+// Confirm or reject a donor's self-service changes to sensitive fields
+router.post('/:id/pending-changes/:decision', authenticate, requirePermission('donors:write'), async (req, res) => {
+  try {
+    const { decision } = req.params;
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const donor = await Donor.findById(req.params.id);
+    if (!donor || !donor.isActive || !donor.pendingChanges?.requestedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending changes found for this donor'
+      });
+    }
+
+    const changes = donor.pendingChanges.changes || {};
+    if (decision === 'approve') {
+      Object.assign(donor, changes);
+    }
+    donor.pendingChanges = undefined;
+    await donor.save();
+
+    await AuditLog.record(req, `donors.pending_changes.${decision}`, { donorId: donor._id, changes });
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Changes approved' : 'Changes rejected',
+      donor
+    });
+  } catch (error) {
+    console.error('Review pending changes error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review pending changes'
     });
   }
 });
@@ -0,0 +1,65 @@
+import express from 'express';
+import { EligibilityRules } from '../models/EligibilityRules.js';
+import { authenticate, requireAdmin, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Get current eligibility rules
+router.get('/', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const rules = await EligibilityRules.load();
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Get eligibility rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch eligibility rules'
+    });
+  }
+});
+
+// Update eligibility rules
+router.put('/', authenticate, requirePermission('eligibility:manage'), async (req, res) => {
+  try {
+    const { minAge, maxAge, minWeightKg, intervals, deferralDefaults } = req.body;
+
+    const rules = await EligibilityRules.load();
+
+    if (minAge !== undefined) rules.minAge = minAge;
+    if (maxAge !== undefined) rules.maxAge = maxAge;
+    if (minWeightKg !== undefined) rules.minWeightKg = minWeightKg;
+    if (Array.isArray(intervals)) rules.intervals = intervals;
+    if (Array.isArray(deferralDefaults)) rules.deferralDefaults = deferralDefaults;
+    rules.updatedBy = req.user._id;
+
+    await rules.save();
+    await EligibilityRules.load();
+
+    res.json({
+      success: true,
+      message: 'Eligibility rules updated successfully',
+      rules
+    });
+  } catch (error) {
+    console.error('Update eligibility rules error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update eligibility rules'
+    });
+  }
+});
+
+export default router;
@@ -1,12 +1,12 @@
 import express from 'express';
 import { Form } from '../models/Form.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import upload from '../middleware/upload.js';
 
 const router = express.Router();
 
 // Get all forms for admin
-router.get('/', authenticate, authorize('admin'), async (req, res) => {
+router.get('/', authenticate, requirePermission('forms:manage'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -40,7 +40,7 @@ router.get('/', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Get single form
-router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.get('/:id', authenticate, requirePermission('forms:manage'), async (req, res) => {
   try {
     const form = await Form.findOne({ _id: req.params.id, isActive: true })
       .populate('createdBy', 'name');
@@ -66,7 +66,7 @@ router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Create form with optional file uploads
-router.post('/', authenticate, authorize('admin'), upload.array('files', 5), async (req, res) => {
+router.post('/', authenticate, requirePermission('forms:manage'), upload.array('files', 5), async (req, res) => {
   try {
     const { title, description, link, eventDate } = req.body;
 
@@ -121,7 +121,7 @@ router.post('/', authenticate, authorize('admin'), upload.array('files', 5), asy
 });
 
 // Update form
-router.put('/:id', authenticate, authorize('admin'), upload.array('files', 5), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('forms:manage'), upload.array('files', 5), async (req, res) => {
   try {
     const { title, description, link, eventDate } = req.body;
 
@@ -183,7 +183,7 @@ router.put('/:id', authenticate, authorize('admin'), upload.array('files', 5), a
 });
 
 // Delete form
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('forms:manage'), async (req, res) => {
   try {
     const form = await Form.findOneAndUpdate(
       { _id: req.params.id, isActive: true },
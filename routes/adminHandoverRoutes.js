@@ -0,0 +1,149 @@
+import express from 'express';
+import { Handover } from '../models/Handover.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { recordHandover, streamHandoverSheet } from '../utils/handover.js';
+
+const router = express.Router();
+
+// Get handover records
+router.get('/', authenticate, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.partner) query.partner = req.query.partner;
+    if (req.query.camp) query.camp = req.query.camp;
+
+    const [handovers, total] = await Promise.all([
+      Handover.find(query)
+        .populate('partner', 'name type')
+        .populate('camp', 'name date')
+        .populate('handedOverBy', 'name')
+        .sort({ handedOverAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Handover.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      handovers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get handovers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch handovers'
+    });
+  }
+});
+
+// Get single handover
+router.get('/:id', authenticate, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const handover = await Handover.findById(req.params.id)
+      .populate('partner')
+      .populate('camp', 'name date')
+      .populate('handedOverBy', 'name')
+      .populate('units', 'unitNumber bloodGroup component collectedAt expiresAt')
+      .populate('donations', 'bagNumber donationType donatedAt');
+
+    if (!handover) {
+      return res.status(404).json({
+        success: false,
+        message: 'Handover not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      handover
+    });
+  } catch (error) {
+    console.error('Get handover error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch handover'
+    });
+  }
+});
+
+// Download the printable handover sheet
+router.get('/:id/sheet', authenticate, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const handover = await Handover.findById(req.params.id);
+    if (!handover) {
+      return res.status(404).json({
+        success: false,
+        message: 'Handover not found'
+      });
+    }
+
+    await streamHandoverSheet(handover, res);
+  } catch (error) {
+    console.error('Handover sheet error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate handover sheet'
+      });
+    }
+  }
+});
+
+// Record a handover of units and/or donations to a partner
+router.post('/', authenticate, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { partnerId, unitIds, donationIds, receivedBy, notes, campId } = req.body;
+
+    const handover = await recordHandover({
+      partnerId,
+      unitIds,
+      donationIds,
+      receivedBy,
+      notes,
+      campId,
+      adminId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Handover recorded successfully',
+      handover
+    });
+  } catch (error) {
+    console.error('Record handover error:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        unavailable: error.unavailable,
+        invalidDonations: error.invalidDonations
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record handover'
+    });
+  }
+});
+
+export default router;
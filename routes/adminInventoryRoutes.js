@@ -0,0 +1,389 @@
+import express from 'express';
+import { BloodUnit, BLOOD_COMPONENTS } from '../models/BloodUnit.js';
+import { Donation } from '../models/Donation.js';
+import { Donor } from '../models/Donor.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { BLOOD_GROUPS } from '../utils/bloodCompatibility.js';
+import { recordHandover } from '../utils/handover.js';
+
+const router = express.Router();
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Parse an optional date range from the query (defaults to the current month)
+const parseRange = (query) => {
+  const now = new Date();
+  const from = query.from ? new Date(query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+  const to = query.to ? new Date(query.to) : now;
+  return { from, to };
+};
+
+// Get blood units with filters
+router.get('/', authenticate, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    ['status', 'bloodGroup', 'component', 'camp', 'donation'].forEach(field => {
+      if (req.query[field]) query[field] = req.query[field];
+    });
+
+    const [units, total] = await Promise.all([
+      BloodUnit.find(query)
+        .populate('donor', 'name rollNo')
+        .populate('camp', 'name date')
+        .sort({ collectedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      BloodUnit.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      units,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get blood units error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blood units'
+    });
+  }
+});
+
+// Get current stock per blood group and component (expired units are not counted)
+router.get('/stock', authenticate, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const counts = await BloodUnit.aggregate([
+      { $match: { status: { $in: ['quarantined', 'available'] }, expiresAt: { $gt: new Date() } } },
+      { $group: { _id: { bloodGroup: '$bloodGroup', component: '$component', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const stock = BLOOD_GROUPS.map(bloodGroup => {
+      const components = Object.fromEntries(BLOOD_COMPONENTS.map(component => {
+        const countFor = (status) => counts.find(entry =>
+          entry._id.bloodGroup === bloodGroup && entry._id.component === component && entry._id.status === status
+        )?.count || 0;
+        return [component, { available: countFor('available'), quarantined: countFor('quarantined') }];
+      }));
+
+      return {
+        bloodGroup,
+        available: Object.values(components).reduce((sum, entry) => sum + entry.available, 0),
+        quarantined: Object.values(components).reduce((sum, entry) => sum + entry.quarantined, 0),
+        components
+      };
+    });
+
+    res.json({
+      success: true,
+      stock
+    });
+  } catch (error) {
+    console.error('Get stock levels error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock levels'
+    });
+  }
+});
+
+// Get units in stock that expire within the given number of days (default 7)
+router.get('/expiring', authenticate, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const days = Math.max(parseInt(req.query.days) || 7, 1);
+    const now = new Date();
+
+    const units = await BloodUnit.find({
+      status: { $in: ['quarantined', 'available'] },
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) }
+    })
+      .populate('camp', 'name date')
+      .sort({ expiresAt: 1 });
+
+    res.json({
+      success: true,
+      days,
+      units
+    });
+  } catch (error) {
+    console.error('Get expiring units error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch expiring units'
+    });
+  }
+});
+
+// Collection and issue report: units collected per group and where issued units went
+router.get('/report', authenticate, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { from, to } = parseRange(req.query);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date range'
+      });
+    }
+
+    const [collected, issued, discarded] = await Promise.all([
+      BloodUnit.aggregate([
+        { $match: { collectedAt: { $gte: from, $lte: to } } },
+        { $group: { _id: { bloodGroup: '$bloodGroup', component: '$component' }, count: { $sum: 1 } } },
+        { $sort: { '_id.bloodGroup': 1, '_id.component': 1 } }
+      ]),
+      BloodUnit.aggregate([
+        { $match: { status: 'issued', issuedAt: { $gte: from, $lte: to } } },
+        { $group: { _id: { partner: '$issuedTo.partner', destination: '$issuedTo.name', bloodGroup: '$bloodGroup' }, count: { $sum: 1 } } },
+        { $sort: { '_id.destination': 1, '_id.bloodGroup': 1 } }
+      ]),
+      BloodUnit.countDocuments({ status: 'discarded', discardedAt: { $gte: from, $lte: to } })
+    ]);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      collected: collected.map(entry => ({ ...entry._id, count: entry.count })),
+      issued: issued.map(entry => ({ ...entry._id, count: entry.count })),
+      discarded
+    });
+  } catch (error) {
+    console.error('Get inventory report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate inventory report'
+    });
+  }
+});
+
+// Get single unit
+router.get('/:id', authenticate, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const unit = await BloodUnit.findById(req.params.id)
+      .populate('donor', 'name rollNo bloodGroup')
+      .populate('donation', 'donatedAt donationType bagNumber volumeMl')
+      .populate('camp', 'name date')
+      .populate('statusHistory.changedBy', 'name');
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blood unit not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      unit
+    });
+  } catch (error) {
+    console.error('Get blood unit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blood unit'
+    });
+  }
+});
+
+// Add units for a donation, e.g. after separating whole blood into components
+router.post('/', authenticate, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { donationId, components, storageLocation } = req.body;
+
+    if (components !== undefined &&
+      (!Array.isArray(components) || components.length === 0 || components.some(c => !BLOOD_COMPONENTS.includes(c)))) {
+      return res.status(400).json({
+        success: false,
+        message: `Components must be a list of: ${BLOOD_COMPONENTS.join(', ')}`
+      });
+    }
+
+    const donation = await Donation.findById(donationId);
+    if (!donation || donation.isVoid || donation.outcome !== 'donated') {
+      return res.status(404).json({
+        success: false,
+        message: 'Donation not found'
+      });
+    }
+
+    // Separating whole blood into components uses up the whole-blood unit
+    const parent = components && !components.includes('whole_blood')
+      ? await BloodUnit.findOne({ donation: donation._id, component: 'whole_blood' })
+      : null;
+    if (parent && !parent.canTransitionTo('separated')) {
+      return res.status(400).json({
+        success: false,
+        message: `The whole blood unit of this donation is ${parent.status} and cannot be separated`
+      });
+    }
+
+    const donor = await Donor.findById(donation.donor);
+    const units = await BloodUnit.createForDonation(donation, donor, {
+      components,
+      storageLocation,
+      createdBy: req.user._id
+    });
+
+    if (parent) {
+      parent.transitionTo('separated', req.user._id, `Separated into ${components.join(', ')}`);
+      await parent.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Blood units added to inventory',
+      units
+    });
+  } catch (error) {
+    console.error('Create blood units error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A unit with this unit number already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add blood units'
+    });
+  }
+});
+
+// Update storage location, or release / discard a unit
+router.put('/:id', authenticate, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { status, storageLocation, notes } = req.body;
+
+    const unit = await BloodUnit.findById(req.params.id);
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blood unit not found'
+      });
+    }
+
+    if (status !== undefined && status !== unit.status) {
+      // Issuing goes through the transfer endpoint so the destination is recorded
+      if (!['available', 'discarded'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Status can only be changed to available or discarded here'
+        });
+      }
+
+      if (!unit.canTransitionTo(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change unit status from ${unit.status} to ${status}`
+        });
+      }
+
+      if (status === 'available' && unit.isExpired) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expired units cannot be released'
+        });
+      }
+
+      if (status === 'discarded' && !notes) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason is required to discard a unit'
+        });
+      }
+
+      unit.transitionTo(status, req.user._id, notes);
+      if (status === 'discarded') {
+        unit.discardReason = notes;
+        unit.discardedAt = new Date();
+      }
+    }
+
+    if (storageLocation !== undefined) unit.storageLocation = storageLocation;
+    await unit.save();
+
+    res.json({
+      success: true,
+      message: 'Blood unit updated successfully',
+      unit
+    });
+  } catch (error) {
+    console.error('Update blood unit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update blood unit'
+    });
+  }
+});
+
+// Transfer available units to a partner blood bank; records a handover
+router.post('/transfer', authenticate, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { unitIds, partnerId, receivedBy, notes } = req.body;
+
+    if (!Array.isArray(unitIds) || unitIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select at least one unit to transfer'
+      });
+    }
+
+    const handover = await recordHandover({
+      partnerId,
+      unitIds,
+      receivedBy,
+      notes,
+      adminId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: `${handover.units.length} units transferred`,
+      handover
+    });
+  } catch (error) {
+    console.error('Transfer blood units error:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        unavailable: error.unavailable
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to transfer blood units'
+    });
+  }
+});
+
+export default router;
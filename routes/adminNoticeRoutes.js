@@ -1,14 +1,14 @@
 import express from 'express';
 import { Notice } from '../models/Notice.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import upload from '../middleware/upload.js';
 
 const router = express.Router();
 
 // Get all notices for admin (with pagination)
-router.get('/', authenticate, authorize('admin'), async (req, res) => {
+router.get('/', authenticate, requirePermission('notices:publish'), async (req, res) => {
   try {
-    console.log('📋 Admin notices request from user:', req.user?.name, 'Type:', req.userType, 'Role:', req.user?.role);
+    console.log('📋 Admin notices request from user:', req.user?.name, 'Role:', req.user?.role);
     
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -44,7 +44,7 @@ router.get('/', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Get single notice
-router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.get('/:id', authenticate, requirePermission('notices:publish'), async (req, res) => {
   try {
     const notice = await Notice.findOne({ _id: req.params.id, isActive: true })
       .populate('author', 'name');
@@ -70,7 +70,7 @@ router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Create notice with optional file upload
-router.post('/', authenticate, authorize('admin'), upload.single('file'), async (req, res) => {
+router.post('/', authenticate, requirePermission('notices:publish'), upload.single('file'), async (req, res) => {
   try {
     const { title, content, priority } = req.body;
 
@@ -113,7 +113,7 @@ router.post('/', authenticate, authorize('admin'), upload.single('file'), async
 });
 
 // Update notice
-router.put('/:id', authenticate, authorize('admin'), upload.single('file'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('notices:publish'), upload.single('file'), async (req, res) => {
   try {
     const { title, content, priority } = req.body;
     
@@ -164,7 +164,7 @@ router.put('/:id', authenticate, authorize('admin'), upload.single('file'), asyn
 });
 
 // Delete notice
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('notices:publish'), async (req, res) => {
   try {
     console.log('🗑️ Delete request for notice ID:', req.params.id, 'by user:', req.user?.name);
     
@@ -0,0 +1,169 @@
+import express from 'express';
+import { Partner, PARTNER_TYPES } from '../models/Partner.js';
+import { Handover } from '../models/Handover.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { escapeRegex } from '../utils/donorFilters.js';
+
+const router = express.Router();
+
+const PARTNER_FIELDS = ['name', 'type', 'licenseNumber', 'address', 'contacts', 'acceptedBloodGroups', 'notes'];
+
+const validationErrorResponse = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error: ' + messages.join(', ')
+  });
+};
+
+// Get partner directory
+router.get('/', authenticate, requirePermission('partners:read'), async (req, res) => {
+  try {
+    const query = { isActive: true };
+    if (PARTNER_TYPES.includes(req.query.type)) {
+      query.type = req.query.type;
+    }
+    if (req.query.q) {
+      query.name = { $regex: escapeRegex(String(req.query.q)), $options: 'i' };
+    }
+
+    const partners = await Partner.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      partners
+    });
+  } catch (error) {
+    console.error('Get partners error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch partners'
+    });
+  }
+});
+
+// Get single partner with recent handovers
+router.get('/:id', authenticate, requirePermission('partners:read'), async (req, res) => {
+  try {
+    const partner = await Partner.findOne({ _id: req.params.id, isActive: true });
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    const handovers = await Handover.find({ partner: partner._id })
+      .populate('handedOverBy', 'name')
+      .sort({ handedOverAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      partner,
+      handovers
+    });
+  } catch (error) {
+    console.error('Get partner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch partner'
+    });
+  }
+});
+
+// Create partner
+router.post('/', authenticate, requirePermission('partners:manage'), async (req, res) => {
+  try {
+    const data = {};
+    PARTNER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const partner = new Partner({ ...data, createdBy: req.user._id });
+    await partner.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Partner created successfully',
+      partner
+    });
+  } catch (error) {
+    console.error('Create partner error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create partner'
+    });
+  }
+});
+
+// Update partner
+router.put('/:id', authenticate, requirePermission('partners:manage'), async (req, res) => {
+  try {
+    const partner = await Partner.findOne({ _id: req.params.id, isActive: true });
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    PARTNER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) partner[field] = req.body[field];
+    });
+    await partner.save();
+
+    res.json({
+      success: true,
+      message: 'Partner updated successfully',
+      partner
+    });
+  } catch (error) {
+    console.error('Update partner error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update partner'
+    });
+  }
+});
+
+// Delete partner (soft delete; handover records keep their reference)
+router.delete('/:id', authenticate, requirePermission('partners:manage'), async (req, res) => {
+  try {
+    const partner = await Partner.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Partner deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete partner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete partner'
+    });
+  }
+});
+
+export default router;
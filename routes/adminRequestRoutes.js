@@ -1,18 +1,35 @@
 import express from 'express';
-import { AdminRequest } from '../models/AdminRequest.js';
-import { Admin } from '../models/Admin.js';
-import { sendOTPEmail, sendAdminApprovalEmail } from '../utils/emailService.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { AdminRequest, ADMIN_REQUEST_STATUSES, OPEN_ADMIN_REQUEST_STATUSES } from '../models/AdminRequest.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { User } from '../models/User.js';
+import { AdminApprovalPolicy } from '../models/AdminApprovalPolicy.js';
+import { sendOTPEmail, sendAdminRequestInfoEmail } from '../utils/emailService.js';
+import { clearOtp, issueOtp, verifyOtp } from '../utils/otp.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { canAssignRole, getRolePermissions, roleExists } from '../utils/permissions.js';
+import { applyApprovalPolicy, castVote } from '../utils/adminApproval.js';
 
 const router = express.Router();
 
+// Time a rejected applicant must wait before applying again
+const REAPPLY_COOLDOWN_MS = 30 * 24 * 60 * 60 * 1000;
+
+const APPLICANT_FIELDS = ['name', 'rollNo', 'branch', 'year', 'phone', 'password'];
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+// The applicant's request that is still in progress (not yet approved or rejected)
+const findOpenRequest = (email) =>
+  AdminRequest.findOne({ email, status: { $in: OPEN_ADMIN_REQUEST_STATUSES } }).sort({ createdAt: -1 });
+
 // Send OTP for admin request email verification
 router.post('/send-otp', async (req, res) => {
   try {
-    const { email } = req.body;
+    const email = normalizeEmail(req.body.email);
 
-    // Check if already an admin
-    const existingAdmin = await Admin.findOne({ email });
+    // Check if already an admin (students may apply with their own account's email)
+    const existingAdmin = await User.exists({ email, role: { $ne: null } });
     if (existingAdmin) {
       return res.status(400).json({
         success: false,
@@ -20,13 +37,31 @@ router.post('/send-otp', async (req, res) => {
       });
     }
 
-    // Check if request already exists
-    let adminRequest = await AdminRequest.findOne({ email });
+    // Continue the request in progress, if any; a request under review can't be changed
+    let adminRequest = await findOpenRequest(email);
+    if (adminRequest?.status === 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Your admin request is already under review'
+      });
+    }
+
     if (!adminRequest) {
+      // Earlier rejections are kept; a new application starts after the cooldown
+      const lastRejected = await AdminRequest.findOne({ email, status: 'rejected' }).sort({ reviewedAt: -1 });
+      const reapplyAt = lastRejected && new Date((lastRejected.reviewedAt || lastRejected.updatedAt).getTime() + REAPPLY_COOLDOWN_MS);
+      if (reapplyAt > new Date()) {
+        return res.status(429).json({
+          success: false,
+          message: `Your previous request was rejected. You can apply again after ${reapplyAt.toDateString()}.`,
+          reapplyAt
+        });
+      }
+
       adminRequest = new AdminRequest({ email });
     }
 
-    const otp = adminRequest.generateOTP();
+    const otp = await issueOtp(adminRequest);
     await adminRequest.save();
 
     const emailSent = await sendOTPEmail(email, otp);
@@ -42,6 +77,13 @@ router.post('/send-otp', async (req, res) => {
       message: 'OTP sent successfully'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Send OTP error:', error);
     res.status(500).json({
       success: false,
@@ -53,25 +95,19 @@ router.post('/send-otp', async (req, res) => {
 // Verify OTP for admin request
 router.post('/verify-otp', async (req, res) => {
   try {
-    const { email, otp } = req.body;
+    const { otp } = req.body;
 
-    const adminRequest = await AdminRequest.findOne({ email });
-    if (!adminRequest) {
+    let adminRequest = await findOpenRequest(normalizeEmail(req.body.email));
+    if (!adminRequest || adminRequest.status === 'pending') {
       return res.status(404).json({
         success: false,
         message: 'Admin request not found'
       });
     }
 
-    if (!adminRequest.verifyOTP(otp)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired OTP'
-      });
-    }
-
+    adminRequest = await verifyOtp(req, adminRequest, otp, 'admin_request');
     adminRequest.emailVerified = true;
-    adminRequest.otp = undefined;
+    clearOtp(adminRequest);
     await adminRequest.save();
 
     res.json({
@@ -79,6 +115,13 @@ router.post('/verify-otp', async (req, res) => {
       message: 'Email verified successfully'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('OTP verification error:', error);
     res.status(500).json({
       success: false,
@@ -90,25 +133,32 @@ router.post('/verify-otp', async (req, res) => {
 // Submit admin request
 router.post('/submit', async (req, res) => {
   try {
-    const { email, name, rollNo, branch, year, phone, password } = req.body;
-
-    const adminRequest = await AdminRequest.findOne({ email });
-    if (!adminRequest || !adminRequest.emailVerified) {
+    const adminRequest = await findOpenRequest(normalizeEmail(req.body.email));
+    if (!adminRequest || adminRequest.status === 'pending' || !adminRequest.emailVerified) {
       return res.status(400).json({
         success: false,
         message: 'Please verify your email first'
       });
     }
 
-    // Update request with complete details
-    adminRequest.name = name;
-    adminRequest.rollNo = rollNo;
-    adminRequest.branch = branch;
-    adminRequest.year = year;
-    adminRequest.phone = phone;
-    adminRequest.password = password;
+    // Answering a request for more information only needs the fields that changed
+    const resubmission = adminRequest.status === 'info_requested';
+    for (const field of APPLICANT_FIELDS) {
+      if (!resubmission || req.body[field]) adminRequest[field] = req.body[field];
+    }
+
     adminRequest.status = 'pending';
-    
+    adminRequest.submittedAt = new Date();
+    // Every (re)submission needs a freshly verified email
+    adminRequest.emailVerified = false;
+    adminRequest.history.push({
+      action: resubmission ? 'resubmitted' : 'submitted',
+      note: resubmission ? req.body.note : undefined
+    });
+    // Earlier votes were on the old details, so reviewers vote again
+    adminRequest.votes.forEach(vote => { vote.stale = true; });
+    await applyApprovalPolicy(adminRequest);
+
     await adminRequest.save();
 
     res.json({
@@ -124,24 +174,48 @@ router.post('/submit', async (req, res) => {
   }
 });
 
-// Get all admin requests (Super Admin only)
-router.get('/', authenticate, authorize('admin', 'superadmin'), async (req, res) => {
+// Get admin requests by status (pending by default, 'all' for every status) with their review history
+router.get('/', authenticate, requirePermission('admin_requests:review'), async (req, res) => {
   try {
-    // Double-check that only super admins can access this
-    if (req.user.role !== 'main') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Super admin privileges required.'
-      });
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+    const status = req.query.status || 'pending';
+
+    const query = {};
+    if (status !== 'all') {
+      if (!ADMIN_REQUEST_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: all, ${ADMIN_REQUEST_STATUSES.join(', ')}`
+        });
+      }
+      query.status = status;
     }
-
-    const requests = await AdminRequest.find({ status: 'pending' })
-      .select('-otp')
-      .sort({ createdAt: -1 });
+    if (req.query.email) query.email = normalizeEmail(req.query.email);
+
+    const [requests, total] = await Promise.all([
+      AdminRequest.find(query)
+        .select('-otp -password')
+        .populate('reviewedBy', 'name email')
+        .populate('infoRequest.requestedBy', 'name email')
+        .populate('history.by', 'name email')
+        .populate('votes.voter', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AdminRequest.countDocuments(query)
+    ]);
 
     res.json({
       success: true,
-      requests
+      requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
   } catch (error) {
     console.error('Get requests error:', error);
@@ -152,122 +226,254 @@ router.get('/', authenticate, authorize('admin', 'superadmin'), async (req, res)
   }
 });
 
-// Approve admin request (Super Admin only)
-router.post('/approve/:id', authenticate, authorize('admin', 'superadmin'), async (req, res) => {
+// Get the approval policy applied to newly submitted requests
+router.get('/approval-policy', authenticate, requirePermission('admin_requests:review'), async (req, res) => {
   try {
-    // Double-check that only super admins can access this
-    if (req.user.role !== 'main') {
-      return res.status(403).json({
+    const policy = await AdminApprovalPolicy.load();
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    console.error('Get approval policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch approval policy'
+    });
+  }
+});
+
+// Change the approval policy, e.g. { requirements: [{ role: 'main', count: 2 }], expiryDays: 14 }.
+// Requests already submitted keep the policy they were submitted under.
+router.put('/approval-policy', authenticate, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const { requirements, expiryDays } = req.body;
+    const policy = await AdminApprovalPolicy.load();
+
+    if (requirements !== undefined) {
+      if (!Array.isArray(requirements) || requirements.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one approval requirement is needed'
+        });
+      }
+
+      const roles = requirements.map(requirement => requirement?.role);
+      if (new Set(roles).size !== roles.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each role can only appear once in the policy'
+        });
+      }
+
+      // Only roles that can review admin requests are able to vote
+      const unusable = roles.filter(role => !roleExists(role) || !getRolePermissions(role).has('admin_requests:review'));
+      if (unusable.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `These roles do not exist or cannot review admin requests: ${unusable.join(', ')}`
+        });
+      }
+
+      if (requirements.some(({ count = 1 }) => !Number.isInteger(count) || count < 1)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each requirement needs a whole number of approvals of at least 1'
+        });
+      }
+
+      policy.requirements = requirements.map(({ role, count = 1 }) => ({ role, count }));
+    }
+
+    if (expiryDays !== undefined) {
+      if (!Number.isInteger(expiryDays) || expiryDays < 1 || expiryDays > 365) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expiry must be a whole number of days between 1 and 365'
+        });
+      }
+      policy.expiryDays = expiryDays;
+    }
+    policy.updatedBy = req.user._id;
+    await policy.save();
+    await AuditLog.record(req, 'admin_approval_policy_updated', {
+      requirements: policy.requirements,
+      expiryDays: policy.expiryDays
+    });
+
+    res.json({
+      success: true,
+      message: 'Approval policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Update approval policy error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
         success: false,
-        message: 'Access denied. Super admin privileges required.'
+        message: 'Validation error: ' + messages.join(', ')
       });
     }
 
-    const { id } = req.params;
-    console.log('🔍 Attempting to approve request with ID:', id);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update approval policy'
+    });
+  }
+});
 
-    const adminRequest = await AdminRequest.findById(id);
-    console.log('📋 Found admin request:', adminRequest);
-    
-    if (!adminRequest || adminRequest.status !== 'pending') {
-      return res.status(404).json({
+// Get one admin request with its full history, and the applicant's earlier requests
+router.get('/:id', authenticate, requirePermission('admin_requests:review'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
         success: false,
-        message: 'Admin request not found or already processed'
+        message: 'Invalid request id'
       });
     }
 
-    // Validate that all required fields are present
-    const missingFields = [];
-    if (!adminRequest.name) missingFields.push('name');
-    if (!adminRequest.password) missingFields.push('password');
-    if (!adminRequest.rollNo) missingFields.push('rollNo');
-    if (!adminRequest.branch) missingFields.push('branch');
-    if (!adminRequest.year) missingFields.push('year');
-    if (!adminRequest.phone) missingFields.push('phone');
-
-    if (missingFields.length > 0) {
-      console.log('❌ Missing fields:', missingFields);
-      console.log('📋 Admin request data:', JSON.stringify(adminRequest, null, 2));
-      return res.status(400).json({
+    const adminRequest = await AdminRequest.findById(req.params.id)
+      .select('-otp -password')
+      .populate('reviewedBy', 'name email')
+      .populate('infoRequest.requestedBy', 'name email')
+      .populate('history.by', 'name email')
+      .populate('votes.voter', 'name email');
+    if (!adminRequest) {
+      return res.status(404).json({
         success: false,
-        message: `Admin request is incomplete. Missing required information: ${missingFields.join(', ')}`
+        message: 'Admin request not found'
       });
     }
 
-    // Create new admin - use insertOne to bypass pre-save hooks
-    const adminData = {
-      name: adminRequest.name,
+    const previousRequests = await AdminRequest.find({
       email: adminRequest.email,
-      password: adminRequest.password, // Already hashed in AdminRequest
-      role: 'normal',
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+      _id: { $ne: adminRequest._id }
+    })
+      .select('status submittedAt reviewedAt rejectionReason createdAt')
+      .sort({ createdAt: -1 });
 
-    await Admin.collection.insertOne(adminData);
+    res.json({
+      success: true,
+      request: adminRequest,
+      previousRequests
+    });
+  } catch (error) {
+    console.error('Get request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admin request'
+    });
+  }
+});
 
-    // Update request status
-    adminRequest.status = 'approved';
-    adminRequest.reviewedBy = req.user._id;
-    adminRequest.reviewedAt = new Date();
-    await adminRequest.save();
+// Record a vote and report what it did to the request
+const recordVote = async (req, res, decision) => {
+  try {
+    // Approvals lead to a regular admin account, so the reviewer must be able to grant that role
+    if (decision === 'approve' && !canAssignRole(req, 'normal')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign the admin role'
+      });
+    }
 
-    // Send approval email with login credentials
-    await sendAdminApprovalEmail(adminRequest.email, adminRequest.name, true);
+    const comment = decision === 'reject' ? req.body.reason ?? req.body.comment : req.body.comment;
+    const adminRequest = await castVote(req.params.id, req.user, { decision, comment });
+    await AuditLog.record(req, 'admin_request_voted', {
+      request: adminRequest._id,
+      email: adminRequest.email,
+      decision,
+      status: adminRequest.status
+    });
+
+    const messages = {
+      approved: 'Admin request approved successfully',
+      rejected: 'Admin request rejected successfully',
+      pending: 'Vote recorded. The request needs more approvals.'
+    };
 
     res.json({
       success: true,
-      message: 'Admin request approved successfully'
+      message: messages[adminRequest.status] || 'Vote recorded',
+      status: adminRequest.status,
+      approvalProgress: adminRequest.approvalProgress
     });
   } catch (error) {
-    console.error('Approve request error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Vote on admin request error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to approve request'
+      message: 'Failed to record vote'
     });
   }
+};
+
+// Vote on a request: { decision: 'approve' | 'reject', comment }
+router.post('/:id/votes', authenticate, requirePermission('admin_requests:review'), async (req, res) => {
+  await recordVote(req, res, req.body.decision);
+});
+
+// Approve admin request (an approve vote)
+router.post('/approve/:id', authenticate, requirePermission('admin_requests:review'), async (req, res) => {
+  await recordVote(req, res, 'approve');
+});
+
+// Reject admin request (a reject vote; the reason is emailed to the applicant)
+router.post('/reject/:id', authenticate, requirePermission('admin_requests:review'), async (req, res) => {
+  await recordVote(req, res, 'reject');
 });
 
-// Reject admin request (Super Admin only)
-router.post('/reject/:id', authenticate, authorize('admin', 'superadmin'), async (req, res) => {
+// Ask the applicant for more information instead of deciding now
+router.post('/request-info/:id', authenticate, requirePermission('admin_requests:review'), async (req, res) => {
   try {
-    // Double-check that only super admins can access this
-    if (req.user.role !== 'main') {
-      return res.status(403).json({
+    const message = String(req.body.message || '').trim();
+    if (!message) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied. Super admin privileges required.'
+        message: 'Please describe the information you need'
       });
     }
 
-    const { id } = req.params;
-    const { reason } = req.body;
-
-    const adminRequest = await AdminRequest.findById(id);
-    if (!adminRequest || adminRequest.status !== 'pending') {
+    const adminRequest = await AdminRequest.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        status: 'info_requested',
+        infoRequest: { message, requestedBy: req.user._id, requestedAt: new Date() },
+        $push: { history: { action: 'info_requested', by: req.user._id, note: message } }
+      },
+      { new: true }
+    );
+    if (!adminRequest) {
       return res.status(404).json({
         success: false,
-        message: 'Admin request not found or already processed'
+        message: 'Admin request not found or not pending'
       });
     }
+    await AuditLog.record(req, 'admin_request_info_requested', { request: adminRequest._id, email: adminRequest.email });
 
-    // Update request status
-    adminRequest.status = 'rejected';
-    adminRequest.reviewedBy = req.user._id;
-    adminRequest.reviewedAt = new Date();
-    await adminRequest.save();
-
-    // Send rejection email with reason
-    await sendAdminApprovalEmail(adminRequest.email, adminRequest.name, false, null, reason);
+    const emailSent = await sendAdminRequestInfoEmail(adminRequest.email, adminRequest.name, message);
 
     res.json({
       success: true,
-      message: 'Admin request rejected successfully'
+      message: emailSent
+        ? 'The applicant has been asked for more information'
+        : 'Request updated, but the email to the applicant could not be sent',
+      request: adminRequest
     });
   } catch (error) {
-    console.error('Reject request error:', error);
+    console.error('Request info error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to reject request'
+      message: 'Failed to request more information'
     });
   }
 });
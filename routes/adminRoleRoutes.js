@@ -0,0 +1,232 @@
+import express from 'express';
+import { Role } from '../models/Role.js';
+import { User } from '../models/User.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { authenticate, requireAdmin, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS, PERMISSION_KEYS, SUPER_ADMIN_ROLE, getRolePermissions } from '../utils/permissions.js';
+
+const router = express.Router();
+
+// Permissions can only be granted by someone who holds them
+const ungrantable = (req, permissions) => {
+  const granted = getRolePermissions(req.user.role);
+  return permissions.filter(permission => !granted.has(permission));
+};
+
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return 'Permissions must be a list';
+  const unknown = permissions.filter(permission => !PERMISSION_KEYS.includes(permission));
+  return unknown.length > 0 ? `Unknown permissions: ${unknown.join(', ')}` : null;
+};
+
+// Get the permission catalogue
+router.get('/permissions', authenticate, requireAdmin, async (req, res) => {
+  res.json({
+    success: true,
+    permissions: PERMISSION_KEYS.map(key => ({ key, description: PERMISSIONS[key] }))
+  });
+});
+
+// Get all roles with the number of admins holding each
+router.get('/', authenticate, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find({}).sort({ isSystem: -1, name: 1 }),
+      User.aggregate([{ $match: { role: { $ne: null } } }, { $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    const adminCounts = Object.fromEntries(counts.map(group => [group._id, group.count]));
+
+    res.json({
+      success: true,
+      roles: roles.map(role => ({ ...role.toJSON(), adminCount: adminCounts[role.key] || 0 }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles'
+    });
+  }
+});
+
+// Create a role
+router.post('/', authenticate, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { key, name, description, permissions = [] } = req.body;
+
+    const invalid = validatePermissions(permissions);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const missing = ungrantable(req, permissions);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant permissions you do not have: ${missing.join(', ')}`
+      });
+    }
+
+    const role = await Role.create({
+      key,
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id
+    });
+    await Role.load();
+    await AuditLog.record(req, 'role_created', { role: role.key, permissions: role.permissions });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this key already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role'
+    });
+  }
+});
+
+// Update a role's name, description or permissions (the super admin role is fixed)
+router.put('/:key', authenticate, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const role = await Role.findOne({ key: req.params.key });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.key === SUPER_ADMIN_ROLE) {
+      return res.status(400).json({
+        success: false,
+        message: 'The super admin role cannot be changed'
+      });
+    }
+
+    if (permissions !== undefined) {
+      const invalid = validatePermissions(permissions);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: invalid
+        });
+      }
+
+      // Both added and removed permissions must be ones the editor holds
+      const changed = [
+        ...permissions.filter(permission => !role.permissions.includes(permission)),
+        ...role.permissions.filter(permission => !permissions.includes(permission))
+      ];
+      const missing = ungrantable(req, changed);
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `You cannot change permissions you do not have: ${missing.join(', ')}`
+        });
+      }
+
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (name) role.name = name;
+    if (description !== undefined) role.description = description;
+    role.updatedBy = req.user._id;
+
+    await role.save();
+    await Role.load();
+    await AuditLog.record(req, 'role_updated', { role: role.key, permissions: role.permissions });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  }
+});
+
+// Delete a custom role that no admin holds
+router.delete('/:key', authenticate, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ key: req.params.key });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const holders = await User.countDocuments({ role: role.key });
+    if (holders > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This role is assigned to ${holders} admin(s). Move them to another role first.`
+      });
+    }
+
+    await role.deleteOne();
+    await Role.load();
+    await AuditLog.record(req, 'role_deleted', { role: role.key });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role'
+    });
+  }
+});
+
+export default router;
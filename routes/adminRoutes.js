@@ -1,22 +1,25 @@
 import express from 'express';
-import { Admin } from '../models/Admin.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { User } from '../models/User.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import {
+  MIN_PASSWORD_LENGTH,
+  requestPasswordReset,
+  resetPasswordWithToken,
+  sendPasswordResetLink
+} from '../utils/passwordReset.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { Session } from '../models/Session.js';
+import { canAssignRole, roleExists } from '../utils/permissions.js';
 
 const router = express.Router();
 
-// Get all admins (Super Admin only)
-router.get('/', authenticate, authorize('admin', 'superadmin'), async (req, res) => {
+// Get all admins
+router.get('/', authenticate, requirePermission('admins:manage'), async (req, res) => {
   try {
-    // Double-check that only super admins can access this
-    if (req.user.role !== 'main') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Super admin privileges required.'
-      });
-    }
-
-    const admins = await Admin.find({})
-      .select('-password')
+    const admins = await User.find({ role: { $ne: null } })
+      .select('-password -passwordReset')
       .sort({ createdAt: -1 });
 
     res.json({
@@ -32,54 +35,116 @@ router.get('/', authenticate, authorize('admin', 'superadmin'), async (req, res)
   }
 });
 
-// Create new admin (Super Admin only)
-router.post('/', authenticate, authorize('admin', 'superadmin'), async (req, res) => {
+// Request a password reset link
+router.post('/forgot-password', async (req, res) => {
   try {
-    // Double-check that only super admins can access this
-    if (req.user.role !== 'main') {
-      return res.status(403).json({
+    await requestPasswordReset(req.body.email);
+
+    res.json({
+      success: true,
+      message: 'If an admin account exists for this email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Admin forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+});
+
+// Set a new password with the token from the reset email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const admin = await resetPasswordWithToken(token, password);
+    await Session.revokeAll(admin._id, { reason: 'Password reset' });
+    await AuditLog.record(req, 'password_reset', { account: admin._id });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Access denied. Super admin privileges required.'
+        message: error.message
       });
     }
 
+    console.error('Admin reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// Create new admin
+router.post('/', authenticate, requirePermission('admins:manage'), async (req, res) => {
+  try {
     const { name, email, role = 'normal', password } = req.body;
 
     // Validate required fields
-    if (!name || !email || !password) {
+    if (!name || !email) {
       return res.status(400).json({
         success: false,
-        message: 'Name, email and password are required'
+        message: 'Name and email are required'
       });
     }
 
     // Validate password length
-    if (password.length < 6) {
+    if (password && password.length < MIN_PASSWORD_LENGTH) {
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 6 characters long'
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
       });
     }
 
-    // Check if admin already exists
-    const existingAdmin = await Admin.findOne({ email });
-    if (existingAdmin) {
+    if (!roleExists(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Admin with this email already exists'
+        message: 'Invalid role specified'
       });
     }
 
-    // Create admin with provided password
-    const newAdmin = new Admin({
+    // Admins can only hand out roles whose permissions they hold themselves
+    if (!canAssignRole(req, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign this role'
+      });
+    }
+
+    // Existing accounts keep their password and are promoted instead
+    const existingAccount = await User.findOne({ email });
+    if (existingAccount) {
+      return res.status(400).json({
+        success: false,
+        message: existingAccount.isAdmin
+          ? 'Admin with this email already exists'
+          : 'An account with this email already exists. Promote it instead.'
+      });
+    }
+
+    // The initial password is chosen by another admin, so the new admin must replace it.
+    // Without one, the account gets an unusable random password and a setup link by email.
+    const newAdmin = new User({
       name,
       email,
-      password, // Will be hashed by pre-save hook
-      role: ['user', 'normal', 'main'].includes(role) ? role : 'normal' // Validate role
+      password: password || crypto.randomBytes(32).toString('hex'), // Will be hashed by pre-save hook
+      role,
+      verified: true,
+      mustChangePassword: true
     });
 
     await newAdmin.save();
 
+    if (!password) {
+      await sendPasswordResetLink(newAdmin, { newAccount: true });
+    }
+
     // Return admin without password
     const adminResponse = {
       id: newAdmin._id,
@@ -127,21 +192,13 @@ router.post('/', authenticate, authorize('admin', 'superadmin'), async (req, res
   }
 });
 
-// Update admin (Super Admin only)
-router.put('/:id', authenticate, authorize('admin', 'superadmin'), async (req, res) => {
+// Update admin
+router.put('/:id', authenticate, requirePermission('admins:manage'), async (req, res) => {
   try {
-    // Double-check that only super admins can access this
-    if (req.user.role !== 'main') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Super admin privileges required.'
-      });
-    }
-
     const { id } = req.params;
     const { name, email, role } = req.body;
 
-    const admin = await Admin.findById(id);
+    const admin = await User.findOne({ _id: id, role: { $ne: null } });
     if (!admin) {
       return res.status(404).json({
         success: false,
@@ -149,6 +206,14 @@ router.put('/:id', authenticate, authorize('admin', 'superadmin'), async (req, r
       });
     }
 
+    // Admins with more permissions than the editor are out of reach
+    if (!canAssignRole(req, admin.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot edit this admin'
+      });
+    }
+
     // Prevent editing super admin by other super admins
     if (admin.role === 'main' && req.user._id.toString() !== id) {
       return res.status(400).json({
@@ -159,7 +224,7 @@ router.put('/:id', authenticate, authorize('admin', 'superadmin'), async (req, r
 
     // Prevent demoting the last main admin
     if (admin.role === 'main' && role && role !== 'main') {
-      const mainAdminCount = await Admin.countDocuments({ role: 'main' });
+      const mainAdminCount = await User.countDocuments({ role: 'main' });
       if (mainAdminCount <= 1) {
         return res.status(400).json({
           success: false,
@@ -171,10 +236,32 @@ router.put('/:id', authenticate, authorize('admin', 'superadmin'), async (req, r
     // Update fields if provided
     if (name) admin.name = name;
     if (email) admin.email = email;
-    if (role && (role === 'user' || role === 'normal' || role === 'main')) admin.role = role;
+    if (role && role !== admin.role) {
+      if (!roleExists(role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid role specified'
+        });
+      }
+
+      // Admins can only hand out roles whose permissions they hold themselves
+      if (!canAssignRole(req, role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot assign this role'
+        });
+      }
+      admin.role = role;
+    }
 
+    const roleChanged = admin.isModified('role');
     await admin.save();
 
+    // Permissions are read from the role on every request, so sessions carry on under the new role
+    if (roleChanged) {
+      await AuditLog.record(req, 'admin_role_changed', { admin: admin._id, role: admin.role });
+    }
+
     // Return updated admin without password
     const adminResponse = {
       id: admin._id,
@@ -222,20 +309,12 @@ router.put('/:id', authenticate, authorize('admin', 'superadmin'), async (req, r
   }
 });
 
-// Remove admin (Super Admin only)
-router.delete('/:id', authenticate, authorize('admin', 'superadmin'), async (req, res) => {
+// Remove admin rights; the account stays as a regular user with the same password and sessions
+router.delete('/:id', authenticate, requirePermission('admins:manage'), async (req, res) => {
   try {
-    // Double-check that only super admins can access this
-    if (req.user.role !== 'main') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Super admin privileges required.'
-      });
-    }
-
     const { id } = req.params;
 
-    const admin = await Admin.findById(id);
+    const admin = await User.findOne({ _id: id, role: { $ne: null } });
     if (!admin) {
       return res.status(404).json({
         success: false,
@@ -243,8 +322,15 @@ router.delete('/:id', authenticate, authorize('admin', 'superadmin'), async (req
       });
     }
 
+    if (!canAssignRole(req, admin.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot remove this admin'
+      });
+    }
+
     if (admin.role === 'main') {
-      const mainAdminCount = await Admin.countDocuments({ role: 'main' });
+      const mainAdminCount = await User.countDocuments({ role: 'main' });
       if (mainAdminCount <= 1) {
         return res.status(400).json({
           success: false,
@@ -253,11 +339,13 @@ router.delete('/:id', authenticate, authorize('admin', 'superadmin'), async (req
       }
     }
 
-    await Admin.findByIdAndDelete(id);
+    // Two-factor is an admin feature, so it goes with the role
+    await User.updateOne({ _id: admin._id }, { $unset: { role: 1, twoFactor: 1 } });
+    await AuditLog.record(req, 'admin_removed', { admin: admin._id, role: admin.role });
 
     res.json({
       success: true,
-      message: 'Admin removed successfully'
+      message: 'Admin rights removed. The account remains as a regular user.'
     });
   } catch (error) {
     console.error('Remove admin error:', error);
@@ -268,13 +356,92 @@ router.delete('/:id', authenticate, authorize('admin', 'superadmin'), async (req
   }
 });
 
+// List an admin's active sessions
+router.get('/:id/sessions', authenticate, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid admin id'
+      });
+    }
+
+    const sessions = await Session.find({
+      account: req.params.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device ip lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    console.error('Get admin sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// Revoke all of an admin's sessions, or one with { sessionId }
+router.post('/:id/sessions/revoke', authenticate, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    if (!mongoose.isValidObjectId(req.params.id) || (sessionId && !mongoose.isValidObjectId(sessionId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid admin or session id'
+      });
+    }
+
+    const admin = await User.findOne({ _id: req.params.id, role: { $ne: null } }).select('role');
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!canAssignRole(req, admin.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot manage this admin'
+      });
+    }
+
+    const filter = { account: admin._id, revokedAt: null };
+    if (sessionId) filter._id = sessionId;
+
+    const result = await Session.updateMany(filter, {
+      revokedAt: new Date(),
+      revokedReason: 'Revoked by an administrator',
+      revokedBy: req.user._id
+    });
+    await AuditLog.record(req, 'admin_sessions_revoked', { admin: req.params.id, sessionId, count: result.modifiedCount });
+
+    res.json({
+      success: true,
+      message: `Revoked ${result.modifiedCount} sessions`
+    });
+  } catch (error) {
+    console.error('Revoke admin sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
 // Get dashboard statistics (accessible to all authenticated users)
 router.get('/stats', authenticate, async (req, res) => {
   try {
     const { Donor } = await import('../models/Donor.js');
     const { Notice } = await import('../models/Notice.js');
     const { Form } = await import('../models/Form.js');
-    const { User } = await import('../models/User.js');
 
     // Get counts for all entities
     const [donorsCount, noticesCount, formsCount, usersCount] = await Promise.all([
@@ -0,0 +1,129 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { User } from '../models/User.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { LoginHistory } from '../models/LoginHistory.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { LOGIN_SECURITY } from '../utils/loginSecurity.js';
+
+const router = express.Router();
+
+// Accounts that are locked or have started collecting failed attempts
+router.get('/locked', authenticate, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const query = {
+      $or: [
+        { 'loginSecurity.lockedUntil': { $gt: new Date() } },
+        { 'loginSecurity.failedAttempts': { $gte: LOGIN_SECURITY.freeAttempts } }
+      ]
+    };
+
+    const accounts = await User.find(query)
+      .select('name email role loginSecurity')
+      .sort({ 'loginSecurity.lockedUntil': -1 });
+
+    res.json({
+      success: true,
+      accounts: accounts.map(account => ({ ...account.toObject(), accountType: account.isAdmin ? 'admin' : 'user' }))
+    });
+  } catch (error) {
+    console.error('Get locked accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch locked accounts'
+    });
+  }
+});
+
+// Login history, filterable by account, email, IP, success and new devices
+router.get('/login-history', authenticate, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.accountId) {
+      if (!mongoose.isValidObjectId(req.query.accountId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid account id'
+        });
+      }
+      query.account = req.query.accountId;
+    }
+    if (req.query.email) query.email = String(req.query.email).toLowerCase().trim();
+    if (req.query.ip) query.ip = String(req.query.ip);
+    if (req.query.success === 'true' || req.query.success === 'false') {
+      query.success = req.query.success === 'true';
+    }
+    if (req.query.newDevice === 'true') query.newDevice = true;
+
+    const [entries, total] = await Promise.all([
+      LoginHistory.find(query)
+        .populate('account', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      LoginHistory.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch login history'
+    });
+  }
+});
+
+// Clear the failed attempts and lock of an account
+router.post('/unlock', authenticate, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const { accountId } = req.body;
+
+    if (!mongoose.isValidObjectId(accountId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid accountId is required'
+      });
+    }
+
+    const account = await User.findByIdAndUpdate(accountId, {
+      $set: { 'loginSecurity.failedAttempts': 0 },
+      $unset: { 'loginSecurity.lockedUntil': 1, 'loginSecurity.lastFailedAt': 1 }
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    await AuditLog.record(req, 'account_unlocked', { account: account._id, email: account.email });
+
+    res.json({
+      success: true,
+      message: `${account.email} has been unlocked`
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
+export default router;
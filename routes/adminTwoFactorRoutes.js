@@ -0,0 +1,279 @@
+import express from 'express';
+import { User } from '../models/User.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { Session } from '../models/Session.js';
+import { SecuritySettings } from '../models/SecuritySettings.js';
+import { authenticate, authenticateForAccountSetup, requireAdmin, requirePermission } from '../middleware/auth.js';
+import {
+  enableTwoFactor,
+  generateRecoveryCodes,
+  getSecuritySettings,
+  provisioningDetails,
+  verifySecondFactor
+} from '../utils/twoFactor.js';
+import { generateTotpSecret } from '../utils/totp.js';
+import { canAssignRole } from '../utils/permissions.js';
+
+const router = express.Router();
+
+// Get own two-factor status
+router.get('/', authenticateForAccountSetup, requireAdmin, async (req, res) => {
+  try {
+    const admin = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: Boolean(admin.twoFactor?.enabled),
+        enabledAt: admin.twoFactor?.enabledAt,
+        recoveryCodesRemaining: (admin.twoFactor?.recoveryCodes || []).filter(code => !code.usedAt).length,
+        required: getSecuritySettings().requireAdminTwoFactor
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status'
+    });
+  }
+});
+
+// Start enrollment: returns a new secret and QR code for the authenticator app
+router.post('/setup', authenticateForAccountSetup, requireAdmin, async (req, res) => {
+  try {
+    const admin = await User.findById(req.user._id);
+
+    if (admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateTotpSecret();
+    admin.set('twoFactor.pendingSecret', secret);
+    await admin.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      ...(await provisioningDetails(admin, secret))
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Finish enrollment with a code from the app; recovery codes are shown only in this response
+router.post('/verify', authenticateForAccountSetup, requireAdmin, async (req, res) => {
+  try {
+    const admin = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = await enableTwoFactor(admin, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Other devices logged in with the password alone must log in again
+    await Session.revokeAll(admin._id, { except: req.authSession._id, reason: 'Two-factor enabled' });
+    await AuditLog.record(req, 'two_factor_enabled', {});
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Replace the recovery codes (requires a current authenticator code)
+router.post('/recovery-codes', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!(await verifySecondFactor(req.user._id, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, stored } = generateRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { 'twoFactor.recoveryCodes': stored });
+    await AuditLog.record(req, 'two_factor_recovery_codes_regenerated', {});
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The old codes no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes'
+    });
+  }
+});
+
+// Turn off two-factor (requires the password and a code; not allowed while 2FA is mandatory)
+router.post('/disable', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (getSecuritySettings().requireAdminTwoFactor) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for all admins'
+      });
+    }
+
+    const admin = await User.findById(req.user._id);
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!password || !(await admin.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await verifySecondFactor(admin._id, { code, recoveryCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await User.updateOne({ _id: admin._id }, { $unset: { twoFactor: 1 } });
+    await AuditLog.record(req, 'two_factor_disabled', {});
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// Get security settings
+router.get('/settings', authenticate, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const settings = await SecuritySettings.load();
+    const withoutTwoFactor = await User.countDocuments({ role: { $ne: null }, 'twoFactor.enabled': { $ne: true } });
+
+    res.json({
+      success: true,
+      settings,
+      adminsWithoutTwoFactor: withoutTwoFactor
+    });
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch security settings'
+    });
+  }
+});
+
+// Make two-factor mandatory (or optional) for all admins
+router.put('/settings', authenticate, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+    if (typeof requireAdminTwoFactor !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireAdminTwoFactor must be true or false'
+      });
+    }
+
+    const settings = await SecuritySettings.load();
+    settings.requireAdminTwoFactor = requireAdminTwoFactor;
+    settings.updatedBy = req.user._id;
+    await settings.save();
+    await SecuritySettings.load();
+    await AuditLog.record(req, 'security_settings_updated', { requireAdminTwoFactor });
+
+    res.json({
+      success: true,
+      message: requireAdminTwoFactor
+        ? 'Two-factor authentication is now required for all admins'
+        : 'Two-factor authentication is now optional',
+      settings
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update security settings'
+    });
+  }
+});
+
+// Reset an admin's two-factor after a lost device
+router.post('/admins/:id/reset', authenticate, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const admin = await User.findOne({ _id: req.params.id, role: { $ne: null } });
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    // Admins with more permissions than the resetter are out of reach
+    if (!canAssignRole(req, admin.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot reset two-factor for this admin'
+      });
+    }
+
+    await User.updateOne({ _id: admin._id }, { $unset: { twoFactor: 1 } });
+
+    await Session.revokeAll(admin._id, { reason: 'Two-factor reset', revokedBy: req.user._id });
+    await AuditLog.record(req, 'two_factor_reset', { admin: admin._id });
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication reset for ${admin.name}`
+    });
+  } catch (error) {
+    console.error('Two-factor reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication'
+    });
+  }
+});
+
+export default router;
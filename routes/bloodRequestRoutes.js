@@ -0,0 +1,480 @@
+import express from 'express';
+import { BloodRequest } from '../models/BloodRequest.js';
+import { Partner } from '../models/Partner.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { isValidBloodGroup } from '../utils/bloodCompatibility.js';
+import { hasPermission } from '../utils/permissions.js';
+import { hashResponseToken, notifyNextRound } from '../utils/bloodRequestService.js';
+import { escapeHtml } from '../utils/html.js';
+
+const router = express.Router();
+
+const MAX_OPEN_REQUESTS_PER_ACCOUNT = 3;
+
+// Donor alerts are for urgent needs; requests further out than this are refused
+const MAX_NEEDED_BY_DAYS = 3;
+
+// Requests still waiting for approval or alerting donors
+const ACTIVE_STATUSES = ['pending_approval', 'open'];
+
+const isOwner = (request, req) =>
+  request.requestedBy.toString() === req.user._id.toString();
+
+// Summary without donor contact details, for the person who raised the request
+const toRequesterView = (request) => ({
+  _id: request._id,
+  patientName: request.patientName,
+  patientBloodGroup: request.patientBloodGroup,
+  unitsNeeded: request.unitsNeeded,
+  hospital: request.hospital,
+  urgency: request.urgency,
+  neededBy: request.neededBy,
+  status: request.status,
+  currentRound: request.currentRound,
+  donorsContacted: request.contacts.length,
+  acceptedCount: request.acceptedCount,
+  createdAt: request.createdAt
+});
+
+// Simple page shown to donors answering an alert email
+const responsePage = (res, title, text) => res.type('html').send(`
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; text-align: center;">
+    <h2>${title}</h2>
+    <p>${text}</p>
+  </div>
+`);
+
+// The request and the donor contact a response token was issued for
+const findContactByToken = async (token) => {
+  const tokenHash = hashResponseToken(token);
+  const request = await BloodRequest.findOne({ 'contacts.responseTokenHash': tokenHash });
+  const contact = request?.contacts.find(c => c.responseTokenHash === tokenHash);
+  return { request, contact };
+};
+
+// Donor response page opened from the alert email (accept / decline link).
+// Opening the link only asks for confirmation; link scanners and prefetchers must not answer for the donor.
+router.get('/respond/:token', async (req, res) => {
+  try {
+    const { answer } = req.query;
+    if (!['accept', 'decline'].includes(answer)) {
+      res.status(400);
+      return responsePage(res, 'Invalid link', 'This response link is not valid.');
+    }
+
+    const { request, contact } = await findContactByToken(req.params.token);
+    if (!contact) {
+      res.status(404);
+      return responsePage(res, 'Link not found', 'This response link is not valid or has expired.');
+    }
+
+    if (request.status !== 'open') {
+      return responsePage(res, 'Request closed', 'Thank you, but this blood request is no longer open.');
+    }
+
+    const question = answer === 'accept'
+      ? `Can you donate ${escapeHtml(request.patientBloodGroup)} blood at ${escapeHtml(request.hospital.name)}? If you confirm, the NSS team will share your contact with the patient's attendant.`
+      : 'Please confirm that you cannot donate for this request.';
+
+    return responsePage(res, 'Confirm your response', `
+      ${question}
+      <form method="post" style="margin-top: 20px;">
+        <input type="hidden" name="answer" value="${answer}">
+        <button type="submit" style="background: ${answer === 'accept' ? '#28a745' : '#dc3545'}; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer;">
+          ${answer === 'accept' ? 'Yes, I can donate' : "I can't this time"}
+        </button>
+      </form>
+    `);
+  } catch (error) {
+    console.error('Blood request response page error:', error);
+    res.status(500);
+    return responsePage(res, 'Something went wrong', 'Failed to load this page. Please try again later.');
+  }
+});
+
+// Record the donor's confirmed answer
+router.post('/respond/:token', async (req, res) => {
+  try {
+    const { answer } = req.body;
+    if (!['accept', 'decline'].includes(answer)) {
+      res.status(400);
+      return responsePage(res, 'Invalid response', 'Please choose whether you can donate.');
+    }
+
+    const { request, contact } = await findContactByToken(req.params.token);
+    if (!contact) {
+      res.status(404);
+      return responsePage(res, 'Link not found', 'This response link is not valid or has expired.');
+    }
+
+    if (request.status !== 'open') {
+      return responsePage(res, 'Request closed', 'Thank you, but this blood request is no longer open.');
+    }
+
+    contact.response = answer === 'accept' ? 'accepted' : 'declined';
+    contact.respondedAt = new Date();
+    await request.save();
+
+    if (answer === 'accept') {
+      return responsePage(res, 'Thank you!', 'Your response has been recorded. The NSS team will contact you shortly.');
+    }
+    return responsePage(res, 'Response recorded', 'Thank you for letting us know.');
+  } catch (error) {
+    console.error('Blood request response error:', error);
+    res.status(500);
+    return responsePage(res, 'Something went wrong', 'Failed to record your response. Please try again later.');
+  }
+});
+
+// Create a blood request and alert the first round of donors
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const {
+      patientName,
+      patientBloodGroup,
+      unitsNeeded,
+      hospital,
+      contactName,
+      contactPhone,
+      urgency,
+      neededBy,
+      notes,
+      partnerId
+    } = req.body;
+
+    if (!isValidBloodGroup(patientBloodGroup)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid blood group'
+      });
+    }
+
+    const deadline = new Date(neededBy);
+    if (isNaN(deadline.getTime()) || deadline <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deadline must be a valid future date'
+      });
+    }
+    if (deadline - Date.now() > MAX_NEEDED_BY_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Deadline must be within ${MAX_NEEDED_BY_DAYS} days`
+      });
+    }
+
+    let partner = null;
+    if (partnerId) {
+      partner = await Partner.findOne({ _id: partnerId, type: 'hospital', isActive: true });
+      if (!partner) {
+        return res.status(400).json({
+          success: false,
+          message: 'Hospital not found'
+        });
+      }
+    }
+
+    const openRequests = await BloodRequest.countDocuments({
+      requestedBy: req.user._id,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (openRequests >= MAX_OPEN_REQUESTS_PER_ACCOUNT) {
+      return res.status(429).json({
+        success: false,
+        message: `You can have at most ${MAX_OPEN_REQUESTS_PER_ACCOUNT} open blood requests`
+      });
+    }
+
+    const request = new BloodRequest({
+      patientName,
+      patientBloodGroup,
+      unitsNeeded,
+      hospital: partner ? { name: partner.name, address: partner.fullAddress } : hospital,
+      partner: partner?._id,
+      contactName,
+      contactPhone,
+      urgency,
+      neededBy: deadline,
+      notes,
+      requestedBy: req.user._id
+    });
+
+    // Donors are only alerted straight away for trusted accounts; other requests wait for a blood request manager
+    const canAlert = hasPermission(req, 'blood_requests:create') || hasPermission(req, 'blood_requests:manage');
+    if (!canAlert) {
+      request.status = 'pending_approval';
+      await request.save();
+
+      return res.status(201).json({
+        success: true,
+        message: 'Blood request submitted. Donors will be alerted once it is approved.',
+        request: toRequesterView(request)
+      });
+    }
+
+    request.approvedBy = req.user._id;
+    request.approvedAt = new Date();
+    await request.validate();
+    const notified = await notifyNextRound(request);
+
+    res.status(201).json({
+      success: true,
+      message: notified > 0
+        ? `Blood request created. ${notified} compatible donor(s) have been notified.`
+        : 'Blood request created. No compatible eligible donors are available right now.',
+      request: toRequesterView(request)
+    });
+  } catch (error) {
+    console.error('Create blood request error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create blood request'
+    });
+  }
+});
+
+// Get partner hospitals that requests can be raised for
+router.get('/hospitals', authenticate, async (req, res) => {
+  try {
+    const hospitals = await Partner.find({ type: 'hospital', isActive: true })
+      .select('name address')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      hospitals
+    });
+  } catch (error) {
+    console.error('Get hospitals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch hospitals'
+    });
+  }
+});
+
+// Get blood requests raised by the current account
+router.get('/mine', authenticate, async (req, res) => {
+  try {
+    const requests = await BloodRequest.find({ requestedBy: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      requests: requests.map(toRequesterView)
+    });
+  } catch (error) {
+    console.error('Get my blood requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blood requests'
+    });
+  }
+});
+
+// Get all blood requests (admin)
+router.get('/', authenticate, requirePermission('blood_requests:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const requests = await BloodRequest.find(query)
+      .select('-contacts.responseTokenHash')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await BloodRequest.countDocuments(query);
+
+    res.json({
+      success: true,
+      requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get blood requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blood requests'
+    });
+  }
+});
+
+// Get single blood request (blood request managers see contacted donors, requester sees a summary)
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const request = await BloodRequest.findById(req.params.id)
+      .select('-contacts.responseTokenHash')
+      .populate('contacts.donor', 'name bloodGroup phone email');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blood request not found'
+      });
+    }
+
+    if (hasPermission(req, 'blood_requests:manage')) {
+      return res.json({
+        success: true,
+        request
+      });
+    }
+
+    if (!isOwner(request, req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+
+    // Donors who accepted agreed to have their contact shared with the requester
+    const acceptedDonors = request.contacts
+      .filter(contact => contact.response === 'accepted' && contact.donor)
+      .map(contact => ({
+        name: contact.donor.name,
+        bloodGroup: contact.donor.bloodGroup,
+        phone: contact.donor.phone,
+        respondedAt: contact.respondedAt
+      }));
+
+    res.json({
+      success: true,
+      request: { ...toRequesterView(request), acceptedDonors }
+    });
+  } catch (error) {
+    console.error('Get blood request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blood request'
+    });
+  }
+});
+
+// Approve a pending blood request and alert the first round of donors (admin)
+router.post('/:id/approve', authenticate, requirePermission('blood_requests:manage'), async (req, res) => {
+  try {
+    const request = await BloodRequest.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending_approval', neededBy: { $gt: new Date() } },
+      { status: 'open', approvedBy: req.user._id, approvedAt: new Date() },
+      { new: true }
+    );
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blood request not found or not awaiting approval'
+      });
+    }
+
+    const notified = await notifyNextRound(request);
+
+    res.json({
+      success: true,
+      message: notified > 0
+        ? `Blood request approved. ${notified} compatible donor(s) have been notified.`
+        : 'Blood request approved. No compatible eligible donors are available right now.',
+      notified
+    });
+  } catch (error) {
+    console.error('Approve blood request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve blood request'
+    });
+  }
+});
+
+// Notify the next round of donors now (admin)
+router.post('/:id/next-round', authenticate, requirePermission('blood_requests:manage'), async (req, res) => {
+  try {
+    const request = await BloodRequest.findById(req.params.id);
+    if (!request || request.status !== 'open') {
+      return res.status(404).json({
+        success: false,
+        message: 'Blood request not found or no longer open'
+      });
+    }
+
+    const notified = await notifyNextRound(request);
+
+    res.json({
+      success: true,
+      message: notified > 0
+        ? `${notified} more donor(s) notified in round ${request.currentRound}`
+        : 'No more compatible eligible donors to notify',
+      notified
+    });
+  } catch (error) {
+    console.error('Next round error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to notify donors'
+    });
+  }
+});
+
+// Close a blood request (blood request managers: fulfilled or cancelled, requester: cancelled)
+router.put('/:id/status', authenticate, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!['fulfilled', 'cancelled'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be fulfilled or cancelled'
+      });
+    }
+
+    const request = await BloodRequest.findById(req.params.id);
+    if (!request || !ACTIVE_STATUSES.includes(request.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blood request not found or no longer open'
+      });
+    }
+
+    const allowed = hasPermission(req, 'blood_requests:manage') || (isOwner(request, req) && status === 'cancelled');
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+
+    request.status = status;
+    request.closedAt = new Date();
+    await request.save();
+
+    res.json({
+      success: true,
+      message: `Blood request marked as ${status}`
+    });
+  } catch (error) {
+    console.error('Update blood request status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update blood request'
+    });
+  }
+});
+
+export default router;
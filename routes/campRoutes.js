@@ -0,0 +1,340 @@
+import express from 'express';
+import { Camp } from '../models/Camp.js';
+import { CampRegistration } from '../models/CampRegistration.js';
+import { Donor } from '../models/Donor.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+  getSlotAvailability,
+  getWaitlistPosition,
+  placeInSlot,
+  promoteFromWaitlist
+} from '../utils/slotBooking.js';
+import { createBookingPass, passToQRDataUrl } from '../utils/checkIn.js';
+import { sendCheckInPassEmail } from '../utils/emailService.js';
+
+const router = express.Router();
+
+const PUBLIC_CAMP_FIELDS = 'name description venue date slots partner partnerBloodBank.name targetUnits status form';
+
+// Get upcoming camps
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const camps = await Camp.find({
+      isActive: true,
+      status: { $in: ['planned', 'open', 'in_progress'] },
+      date: { $gte: today }
+    })
+      .select(PUBLIC_CAMP_FIELDS)
+      .sort({ date: 1 });
+
+    res.json({
+      success: true,
+      camps
+    });
+  } catch (error) {
+    console.error('Get camps error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch camps'
+    });
+  }
+});
+
+// Get own camp registrations
+router.get('/registrations/mine', authenticate, async (req, res) => {
+  try {
+    const registrations = await CampRegistration.find({ user: req.user._id, status: { $ne: 'cancelled' } })
+      .populate('camp', PUBLIC_CAMP_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      registrations
+    });
+  } catch (error) {
+    console.error('Get my registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch registrations'
+    });
+  }
+});
+
+// Get single camp
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const camp = await Camp.findOne({ _id: req.params.id, isActive: true })
+      .select(PUBLIC_CAMP_FIELDS)
+      .populate('partner', 'name');
+
+    if (!camp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Camp not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      camp
+    });
+  } catch (error) {
+    console.error('Get camp error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch camp'
+    });
+  }
+});
+
+// Get slot availability for a camp
+router.get('/:id/slots', authenticate, async (req, res) => {
+  try {
+    const camp = await Camp.findOne({ _id: req.params.id, isActive: true });
+    if (!camp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Camp not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      slots: await getSlotAvailability(camp)
+    });
+  } catch (error) {
+    console.error('Get camp slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch slots'
+    });
+  }
+});
+
+// Book a slot at a camp (requires a donor profile); full slots put the donor on the waitlist
+router.post('/:id/register', authenticate, async (req, res) => {
+  try {
+    const camp = await Camp.findOne({ _id: req.params.id, isActive: true });
+    if (!camp || camp.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'This camp is not open for registration'
+      });
+    }
+
+    const donor = await Donor.findOne({ user: req.user._id, isActive: true });
+    if (!donor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please complete your donor profile before registering'
+      });
+    }
+
+    const existing = await CampRegistration.findOne({ camp: camp._id, user: req.user._id, status: { $ne: 'cancelled' } });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already registered for this camp'
+      });
+    }
+
+    const registration = new CampRegistration({
+      camp: camp._id,
+      user: req.user._id,
+      donor: donor._id
+    });
+
+    if (camp.slots.length > 0) {
+      const slot = camp.slots.id(req.body.slotId);
+      if (!slot) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please choose a valid time slot'
+        });
+      }
+      await placeInSlot(registration, slot);
+    } else {
+      registration.bookedAt = new Date();
+      await registration.save();
+    }
+
+    const eligibility = donor.eligibility;
+    const waitlistPosition = await getWaitlistPosition(registration);
+
+    // Confirmed bookings get their check-in QR pass by email
+    if (registration.status === 'booked') {
+      const qrCode = await passToQRDataUrl(createBookingPass(registration, camp));
+      await sendCheckInPassEmail(donor.email, donor.name, camp, camp.slots.id(registration.slot), qrCode);
+    }
+
+    let message = waitlistPosition
+      ? `This slot is full. You are number ${waitlistPosition} on the waitlist.`
+      : 'Slot booked successfully';
+    if (!eligibility.eligible) {
+      message += ' Note: you may not be eligible to donate on the day.';
+    }
+
+    res.status(201).json({
+      success: true,
+      message,
+      registration,
+      waitlistPosition,
+      eligibility
+    });
+  } catch (error) {
+    console.error('Camp registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register for camp'
+    });
+  }
+});
+
+// Get the check-in QR pass for own confirmed booking
+router.get('/:id/register/pass', authenticate, async (req, res) => {
+  try {
+    const registration = await CampRegistration.findOne({
+      camp: req.params.id,
+      user: req.user._id,
+      status: 'booked'
+    });
+    const camp = registration && await Camp.findOne({ _id: registration.camp, isActive: true });
+
+    if (!camp) {
+      return res.status(404).json({
+        success: false,
+        message: 'No confirmed booking found for this camp'
+      });
+    }
+
+    const token = createBookingPass(registration, camp);
+
+    res.json({
+      success: true,
+      token,
+      qrCode: await passToQRDataUrl(token)
+    });
+  } catch (error) {
+    console.error('Get check-in pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate check-in pass'
+    });
+  }
+});
+
+// Reschedule own booking to another slot that has free places
+router.put('/:id/register', authenticate, async (req, res) => {
+  try {
+    const camp = await Camp.findOne({ _id: req.params.id, isActive: true });
+    if (!camp || camp.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'This camp is not open for booking changes'
+      });
+    }
+
+    const registration = await CampRegistration.findOne({
+      camp: camp._id,
+      user: req.user._id,
+      status: { $ne: 'cancelled' }
+    });
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const slot = camp.slots.id(req.body.slotId);
+    if (!slot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a valid time slot'
+      });
+    }
+
+    if (registration.slot?.equals(slot._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already booked in this slot'
+      });
+    }
+
+    const availability = (await getSlotAvailability(camp)).find(entry => entry.slotId.equals(slot._id));
+    if (availability.available === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'That slot is full. Please choose another slot.'
+      });
+    }
+
+    const previousSlot = registration.slot ? camp.slots.id(registration.slot) : null;
+    const wasBooked = registration.status === 'booked';
+
+    await placeInSlot(registration, slot);
+    if (previousSlot && wasBooked) {
+      await promoteFromWaitlist(camp, previousSlot);
+    }
+
+    res.json({
+      success: true,
+      message: registration.status === 'booked'
+        ? 'Booking rescheduled successfully'
+        : 'That slot just filled up. You have been added to its waitlist.',
+      registration,
+      waitlistPosition: await getWaitlistPosition(registration)
+    });
+  } catch (error) {
+    console.error('Reschedule booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule booking'
+    });
+  }
+});
+
+// Cancel own camp booking; the freed place goes to the next person on the waitlist
+router.delete('/:id/register', authenticate, async (req, res) => {
+  try {
+    const registration = await CampRegistration.findOne({
+      camp: req.params.id,
+      user: req.user._id,
+      status: { $ne: 'cancelled' }
+    });
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const wasBooked = registration.status === 'booked';
+    registration.status = 'cancelled';
+    registration.cancelledAt = new Date();
+    await registration.save();
+
+    const camp = await Camp.findById(registration.camp);
+    const slot = registration.slot ? camp?.slots.id(registration.slot) : null;
+    if (wasBooked && slot && camp.status !== 'closed') {
+      await promoteFromWaitlist(camp, slot);
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel camp booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel booking'
+    });
+  }
+});
+
+export default router;
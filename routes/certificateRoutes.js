@@ -0,0 +1,190 @@
+import express from 'express';
+import { Certificate } from '../models/Certificate.js';
+import { Donor } from '../models/Donor.js';
+import { Donation } from '../models/Donation.js';
+import { Camp } from '../models/Camp.js';
+import { authenticate } from '../middleware/auth.js';
+import { hasPermission } from '../utils/permissions.js';
+import { findCampParticipants, streamCertificatesPdf } from '../utils/certificate.js';
+import { escapeHtml } from '../utils/html.js';
+
+const router = express.Router();
+
+// Public verification page opened from the QR code on a certificate
+router.get('/verify/:certificateId', async (req, res) => {
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+  const page = (title, text) => res.type('html').send(`
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; text-align: center;">
+      <h2>${title}</h2>
+      <p>${text}</p>
+    </div>
+  `);
+
+  try {
+    const certificate = await Certificate.findOne({ certificateId: req.params.certificateId.toUpperCase() });
+
+    if (!certificate) {
+      res.status(404);
+      return wantsHtml
+        ? page('Certificate not found', 'No certificate with this ID was issued by MMMUT NSS.')
+        : res.json({ success: false, valid: false, message: 'Certificate not found' });
+    }
+
+    const details = {
+      certificateId: certificate.certificateId,
+      type: certificate.type,
+      donorName: certificate.donorName,
+      bloodGroup: certificate.bloodGroup,
+      eventDate: certificate.eventDate,
+      eventName: certificate.eventName,
+      issuedAt: certificate.createdAt,
+      revoked: Boolean(certificate.revokedAt)
+    };
+
+    if (!wantsHtml) {
+      return res.json({ success: true, valid: !certificate.revokedAt, certificate: details });
+    }
+
+    if (certificate.revokedAt) {
+      return page('Certificate revoked', `Certificate ${escapeHtml(certificate.certificateId)} was issued by MMMUT NSS but has since been revoked.`);
+    }
+
+    const what = certificate.type === 'donation' ? 'donated blood' : 'participated in a blood donation camp';
+    return page('Certificate verified', `
+      Certificate <strong>${escapeHtml(certificate.certificateId)}</strong> is genuine.<br><br>
+      ${escapeHtml(certificate.donorName)} (Blood Group ${escapeHtml(certificate.bloodGroup)}) ${what}
+      on ${new Date(certificate.eventDate).toDateString()}${certificate.eventName ? ` at ${escapeHtml(certificate.eventName)}` : ''}.
+    `);
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500);
+    return wantsHtml
+      ? page('Something went wrong', 'Could not verify the certificate. Please try again later.')
+      : res.json({ success: false, message: 'Failed to verify certificate' });
+  }
+});
+
+// Get own certificates
+router.get('/mine', authenticate, async (req, res) => {
+  try {
+    const donor = await Donor.findOne({ user: req.user._id, isActive: true });
+    const certificates = donor
+      ? await Certificate.find({ donor: donor._id, revokedAt: null }).sort({ eventDate: -1 })
+      : [];
+
+    res.json({
+      success: true,
+      certificates
+    });
+  } catch (error) {
+    console.error('Get my certificates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch certificates'
+    });
+  }
+});
+
+// Get a certificate for one of own donations ({ donationId }) or camp participations ({ campId })
+router.post('/mine', authenticate, async (req, res) => {
+  try {
+    const { donationId, campId } = req.body;
+    if (!donationId && !campId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a donation or camp'
+      });
+    }
+
+    const donor = await Donor.findOne({ user: req.user._id, isActive: true });
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered as a donor'
+      });
+    }
+
+    let certificate;
+    if (donationId) {
+      const donation = await Donation.findOne({ _id: donationId, donor: donor._id, isVoid: false, outcome: 'donated' });
+      if (!donation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Donation not found'
+        });
+      }
+      const camp = donation.camp ? await Camp.findById(donation.camp) : null;
+      certificate = await Certificate.issue({
+        type: 'donation',
+        donor,
+        donation,
+        camp,
+        issuedBy: req.user._id
+      });
+    } else {
+      const camp = await Camp.findOne({ _id: campId, isActive: true });
+      const participants = camp ? await findCampParticipants(camp) : [];
+      if (!participants.some(participant => participant._id.equals(donor._id))) {
+        return res.status(404).json({
+          success: false,
+          message: 'No participation found for this camp'
+        });
+      }
+      certificate = await Certificate.issue({
+        type: 'camp_participation',
+        donor,
+        camp,
+        issuedBy: req.user._id
+      });
+    }
+
+    if (certificate.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This certificate has been revoked'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      certificate
+    });
+  } catch (error) {
+    console.error('Issue own certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue certificate'
+    });
+  }
+});
+
+// Download a certificate PDF (own certificates, or any for certificate managers)
+router.get('/:certificateId/pdf', authenticate, async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ certificateId: req.params.certificateId, revokedAt: null });
+
+    let allowed = hasPermission(req, 'certificates:manage');
+    if (certificate && !allowed) {
+      allowed = Boolean(await Donor.exists({ _id: certificate.donor, user: req.user._id }));
+    }
+
+    if (!certificate || !allowed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found'
+      });
+    }
+
+    await streamCertificatesPdf([certificate], res, `certificate-${certificate.certificateId}.pdf`);
+  } catch (error) {
+    console.error('Download certificate error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate certificate'
+      });
+    }
+  }
+});
+
+export default router;
@@ -1,9 +1,58 @@
 import express from 'express';
-import { Donor } from '../models/Donor.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { Donor, donorContactErrors } from '../models/Donor.js';
+import { Donation } from '../models/Donation.js';
+import { authenticate } from '../middleware/auth.js';
+import { getEligibilityRules } from '../utils/eligibility.js';
+import { createDonorPass, passToQRDataUrl } from '../utils/checkIn.js';
+import { verifyUnsubscribeToken } from '../utils/reminderService.js';
 
 const router = express.Router();
 
+// Fields a donor may change directly, and fields that need admin confirmation
+const SELF_EDITABLE_FIELDS = ['name', 'age', 'sex', 'weightKg', 'phone', 'branch', 'year', 'medicalHistory'];
+const SENSITIVE_FIELDS = ['bloodGroup', 'rollNo'];
+
+const findOwnDonor = (req) => Donor.findOne({ user: req.user._id, isActive: true });
+
+const validationErrorResponse = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error: ' + messages.join(', ')
+  });
+};
+
+// Turn off reminder emails from the link in the email (no login needed)
+router.get('/reminders/unsubscribe/:token', async (req, res) => {
+  const page = (title, text) => res.type('html').send(`
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; text-align: center;">
+      <h2>${title}</h2>
+      <p>${text}</p>
+    </div>
+  `);
+
+  try {
+    const donorId = verifyUnsubscribeToken(req.params.token);
+    const donor = donorId && await Donor.findById(donorId);
+
+    if (!donor) {
+      res.status(400);
+      return page('Invalid link', 'This unsubscribe link is not valid.');
+    }
+
+    if (!donor.reminders?.optedOut) {
+      donor.reminders = { optedOut: true, optedOutAt: new Date() };
+      await donor.save();
+    }
+
+    return page('Unsubscribed', 'You will no longer receive donation reminder emails. You can turn them back on from your donor profile.');
+  } catch (error) {
+    console.error('Reminder unsubscribe error:', error);
+    res.status(500);
+    return page('Something went wrong', 'Failed to update your preferences. Please try again later.');
+  }
+});
+
 // Public donor list (hide medical history from regular users)
 router.get('/list', authenticate, async (req, res) => {
   try {
@@ -11,9 +60,22 @@ router.get('/list', authenticate, async (req, res) => {
       .select('-medicalHistory -__v') // Always hide medical history in public endpoint
       .sort({ createdAt: -1 });
 
+    // Eligibility is public, but deferral details are medical information
+    const publicDonors = donors.map(donor => {
+      const { deferrals, eligibility, user, pendingChanges, availability, reminders, ...data } = donor.toJSON();
+      return {
+        ...data,
+        eligibility: {
+          eligible: eligibility.eligible,
+          nextEligibleDate: eligibility.nextEligibleDate,
+          daysUntilEligible: eligibility.daysUntilEligible
+        }
+      };
+    });
+
     res.json({
       success: true,
-      donors
+      donors: publicDonors
     });
   } catch (error) {
     console.error('Get donors error:', error);
@@ -24,5 +86,321 @@ router.get('/list', authenticate, async (req, res) => {
   }
 });
 
+// Register the logged-in user as a donor
+router.post('/me', authenticate, async (req, res) => {
+  try {
+    const { name, rollNo, bloodGroup, age, sex, weightKg, phone, branch, year, medicalHistory } = req.body;
+
+    if (await findOwnDonor(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already registered as a donor'
+      });
+    }
+
+    const { minAge, maxAge } = getEligibilityRules();
+    if (!(age >= minAge && age <= maxAge)) {
+      return res.status(400).json({
+        success: false,
+        message: `Age must be between ${minAge} and ${maxAge}`
+      });
+    }
+
+    const contactErrors = donorContactErrors({ phone });
+    if (contactErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: ' + contactErrors.join(', ')
+      });
+    }
+
+    // Only fields the student filled in; missing ones must not wipe an existing record's data
+    const details = Object.fromEntries(
+      Object.entries({ name: name || req.user.name, age, sex, weightKg, phone, branch, year, medicalHistory })
+        .filter(([, value]) => value !== undefined)
+    );
+
+    // A record an admin created with this verified email is claimed instead of duplicated
+    const existing = await Donor.findOne({ email: req.user.email, isActive: true, user: null });
+    if (existing) {
+      Object.assign(existing, details, { user: req.user._id });
+
+      const changes = {};
+      if (bloodGroup && bloodGroup !== existing.bloodGroup) changes.bloodGroup = bloodGroup;
+      if (rollNo && rollNo !== existing.rollNo) changes.rollNo = rollNo;
+      if (Object.keys(changes).length > 0) {
+        existing.pendingChanges = { changes, requestedAt: new Date() };
+      }
+
+      await existing.save();
+
+      return res.json({
+        success: true,
+        message: Object.keys(changes).length > 0
+          ? 'Existing donor record linked. Blood group and roll number changes await admin confirmation.'
+          : 'Existing donor record linked to your account',
+        donor: existing
+      });
+    }
+
+    const donor = new Donor({
+      ...details,
+      rollNo,
+      bloodGroup,
+      email: req.user.email,
+      user: req.user._id
+    });
+    await donor.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Donor registered successfully',
+      donor
+    });
+  } catch (error) {
+    console.error('Self register donor error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register as donor'
+    });
+  }
+});
+
+// Get own donor profile with eligibility countdown and donation history
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const donor = await findOwnDonor(req);
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered as a donor'
+      });
+    }
+
+    const donations = await Donation.find({ donor: donor._id, isVoid: false })
+      .select('donatedAt donationType event volumeMl outcome')
+      .sort({ donatedAt: -1 });
+
+    res.json({
+      success: true,
+      donor,
+      donations
+    });
+  } catch (error) {
+    console.error('Get own donor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch donor profile'
+    });
+  }
+});
+
+// Get own donor QR pass for walking in at any camp
+router.get('/me/checkin-pass', authenticate, async (req, res) => {
+  try {
+    const donor = await findOwnDonor(req);
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered as a donor'
+      });
+    }
+
+    const token = createDonorPass(donor);
+
+    res.json({
+      success: true,
+      token,
+      qrCode: await passToQRDataUrl(token)
+    });
+  } catch (error) {
+    console.error('Get donor pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate check-in pass'
+    });
+  }
+});
+
+// Update own donor profile (blood group and roll number changes need admin confirmation)
+router.put('/me', authenticate, async (req, res) => {
+  try {
+    const donor = await findOwnDonor(req);
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered as a donor'
+      });
+    }
+
+    if (req.body.age !== undefined) {
+      const { minAge, maxAge } = getEligibilityRules();
+      if (!(req.body.age >= minAge && req.body.age <= maxAge)) {
+        return res.status(400).json({
+          success: false,
+          message: `Age must be between ${minAge} and ${maxAge}`
+        });
+      }
+    }
+
+    // Only a changed phone number is checked, so an older record's number doesn't block other edits
+    if (req.body.phone !== undefined && req.body.phone !== donor.phone) {
+      const contactErrors = donorContactErrors({ phone: req.body.phone });
+      if (contactErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error: ' + contactErrors.join(', ')
+        });
+      }
+    }
+
+    for (const field of SELF_EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) donor[field] = req.body[field];
+    }
+
+    const changes = {};
+    for (const field of SENSITIVE_FIELDS) {
+      if (req.body[field] !== undefined && req.body[field] !== donor[field]) {
+        changes[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      // Validate the requested values now so the admin only confirms valid changes
+      const error = new Donor({ ...donor.toObject({ virtuals: false }), ...changes }).validateSync(Object.keys(changes));
+      if (error) {
+        return validationErrorResponse(res, error);
+      }
+      donor.pendingChanges = { changes, requestedAt: new Date() };
+    }
+
+    await donor.save();
+
+    res.json({
+      success: true,
+      message: Object.keys(changes).length > 0
+        ? 'Profile updated. Blood group and roll number changes await admin confirmation.'
+        : 'Profile updated successfully',
+      donor
+    });
+  } catch (error) {
+    console.error('Update own donor error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update donor profile'
+    });
+  }
+});
+
+// Pause availability (optionally until a date)
+router.post('/me/pause', authenticate, async (req, res) => {
+  try {
+    const { until, reason } = req.body;
+
+    if (until && (isNaN(new Date(until).getTime()) || new Date(until) <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pause end date must be a valid future date'
+      });
+    }
+
+    const donor = await findOwnDonor(req);
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered as a donor'
+      });
+    }
+
+    donor.availability = { paused: true, until: until ? new Date(until) : undefined, reason };
+    await donor.save();
+
+    res.json({
+      success: true,
+      message: until ? `Availability paused until ${new Date(until).toDateString()}` : 'Availability paused',
+      availability: donor.availability
+    });
+  } catch (error) {
+    console.error('Pause donor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause availability'
+    });
+  }
+});
+
+// Turn reminder emails on or off
+router.put('/me/reminders', authenticate, async (req, res) => {
+  try {
+    const { enabled } = req.body;
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please specify whether reminders are enabled'
+      });
+    }
+
+    const donor = await findOwnDonor(req);
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered as a donor'
+      });
+    }
+
+    donor.reminders = enabled ? { optedOut: false } : { optedOut: true, optedOutAt: new Date() };
+    await donor.save();
+
+    res.json({
+      success: true,
+      message: enabled ? 'Reminders turned on' : 'Reminders turned off',
+      reminders: donor.reminders
+    });
+  } catch (error) {
+    console.error('Update reminder preference error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update reminder preference'
+    });
+  }
+});
+
+// Resume availability
+router.post('/me/resume', authenticate, async (req, res) => {
+  try {
+    const donor = await findOwnDonor(req);
+    if (!donor) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered as a donor'
+      });
+    }
+
+    donor.availability = { paused: false };
+    await donor.save();
+
+    res.json({
+      success: true,
+      message: 'Availability resumed',
+      availability: donor.availability
+    });
+  } catch (error) {
+    console.error('Resume donor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume availability'
+    });
+  }
+});
 
 export default router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 import express from 'express';
 import { Form } from '../models/Form.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -26,7 +26,7 @@ router.get('/', authenticate, async (req, res) => {
 });
 
 // Get single form
-router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.get('/:id', authenticate, requirePermission('forms:manage'), async (req, res) => {
   try {
     const form = await Form.findOne({ _id: req.params.id, isActive: true })
       .populate('createdBy', 'name');
@@ -52,7 +52,7 @@ router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Create form (Admin only)
-router.post('/', authenticate, authorize('admin'), async (req, res) => {
+router.post('/', authenticate, requirePermission('forms:manage'), async (req, res) => {
   try {
     const form = new Form({
       ...req.body,
@@ -77,7 +77,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Update form (Admin only)
-router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('forms:manage'), async (req, res) => {
   try {
     const form = await Form.findOneAndUpdate(
       { _id: req.params.id, isActive: true },
@@ -107,7 +107,7 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Delete form (Admin only)
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('forms:manage'), async (req, res) => {
   try {
     const form = await Form.findOneAndUpdate(
       { _id: req.params.id, isActive: true },
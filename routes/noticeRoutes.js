@@ -1,6 +1,6 @@
 import express from 'express';
 import { Notice } from '../models/Notice.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -26,7 +26,7 @@ router.get('/', authenticate, async (req, res) => {
 });
 
 // Get single notice
-router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.get('/:id', authenticate, requirePermission('notices:publish'), async (req, res) => {
   try {
     const notice = await Notice.findById(req.params.id)
       .populate('author', 'name');
@@ -52,7 +52,7 @@ router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Create notice (Admin only)
-router.post('/', authenticate, authorize('admin'), async (req, res) => {
+router.post('/', authenticate, requirePermission('notices:publish'), async (req, res) => {
   try {
     const notice = new Notice({
       ...req.body,
@@ -77,7 +77,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Update notice (Admin only)
-router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('notices:publish'), async (req, res) => {
   try {
     const notice = await Notice.findByIdAndUpdate(
       req.params.id,
@@ -107,7 +107,7 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
 });
 
 // Delete notice (Admin only)
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('notices:publish'), async (req, res) => {
   try {
     const notice = await Notice.findByIdAndUpdate(
       req.params.id,
@@ -1,12 +1,52 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import { User } from '../models/User.js';
-import { Admin } from '../models/Admin.js';
 import { sendOTPEmail } from '../utils/emailService.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { clearOtp, issueOtp, verifyOtp } from '../utils/otp.js';
+import { SUPER_ADMIN_ROLE, canAssignRole, permissionsFor, roleExists } from '../utils/permissions.js';
+import {
+  claimLoginAttempt,
+  loginWaitMessage,
+  recordFailedLogin,
+  recordLoginFailure,
+  recordSuccessfulLogin,
+  releaseLoginAttempt
+} from '../utils/loginSecurity.js';
+import { authenticate, authenticateForAccountSetup, requirePermission } from '../middleware/auth.js';
+import { MIN_PASSWORD_LENGTH, requestPasswordReset, resetPasswordWithToken } from '../utils/passwordReset.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { Session } from '../models/Session.js';
+import { createSession, rotateSession, signAccessToken } from '../utils/session.js';
+import {
+  createTwoFactorChallenge,
+  needsTwoFactorSetup,
+  verifySecondFactor,
+  verifyTwoFactorChallenge
+} from '../utils/twoFactor.js';
 
 const router = express.Router();
 
+// Account details returned at login and by /me ('user' as the role for students)
+const toAccountData = (account) => ({
+  id: account._id,
+  name: account.name,
+  email: account.email,
+  role: account.role || 'user',
+  isAdmin: account.isAdmin,
+  mustChangePassword: Boolean(account.mustChangePassword),
+  twoFactorEnabled: Boolean(account.twoFactor?.enabled),
+  twoFactorSetupRequired: needsTwoFactorSetup(account),
+  permissions: permissionsFor(account)
+});
+
+// Accounts with two-factor enabled finish logging in at /login/2fa (failures are only cleared there)
+const twoFactorChallengeResponse = (account) => ({
+  success: true,
+  twoFactorRequired: true,
+  challengeToken: createTwoFactorChallenge(account),
+  message: 'Enter the code from your authenticator app'
+});
+
 // User signup
 router.post('/signup', async (req, res) => {
   try {
@@ -21,18 +61,9 @@ router.post('/signup', async (req, res) => {
       });
     }
 
-    // Check if admin exists with this email
-    const existingAdmin = await Admin.findOne({ email });
-    if (existingAdmin) {
-      return res.status(400).json({
-        success: false,
-        message: 'This email is already registered as admin'
-      });
-    }
-
     // Create new user
     const user = new User({ name, email, password });
-    const otp = user.generateOTP();
+    const otp = await issueOtp(user);
     await user.save();
 
     // Send OTP email
@@ -64,7 +95,7 @@ router.post('/verify-otp', async (req, res) => {
   try {
     const { email, otp } = req.body;
 
-    const user = await User.findOne({ email });
+    let user = await User.findOne({ email });
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -72,15 +103,9 @@ router.post('/verify-otp', async (req, res) => {
       });
     }
 
-    if (!user.verifyOTP(otp)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired OTP'
-      });
-    }
-
+    user = await verifyOtp(req, user, otp, 'email_verification');
     user.verified = true;
-    user.otp = undefined;
+    clearOtp(user);
     await user.save();
 
     res.json({
@@ -88,6 +113,13 @@ router.post('/verify-otp', async (req, res) => {
       message: 'Email verified successfully'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('OTP verification error:', error);
     res.status(500).json({
       success: false,
@@ -101,65 +133,65 @@ router.post('/login', async (req, res) => {
   try {
     const { email, password, role } = req.body;
 
-    let user, userType;
-
-    if (role === 'admin' || role === 'superadmin') {
-      // Admin login
-      user = await Admin.findOne({ email });
-      userType = 'admin';
-      
-      if (role === 'superadmin' && user?.role !== 'main') {
-        return res.status(401).json({
-          success: false,
-          message: 'Access denied. Super admin credentials required.'
-        });
-      }
-    } else {
-      // User login
-      user = await User.findOne({ email });
-      userType = 'user';
-      
-      if (user && !user.verified) {
-        return res.status(401).json({
-          success: false,
-          message: 'Please verify your email before logging in'
-        });
-      }
+    const user = await User.findOne({ email });
+
+    if (role === 'superadmin' && user?.role !== SUPER_ADMIN_ROLE) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Super admin credentials required.'
+      });
     }
 
-    if (!user) {
+    // The admin login page only accepts accounts holding an admin role
+    if (!user || (role === 'admin' && !user.isAdmin)) {
+      await recordLoginFailure(req, { email, reason: 'unknown_account' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    if (!user.verified && !user.isAdmin) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please verify your email before logging in'
+      });
+    }
+
+    const attempt = await claimLoginAttempt(user);
+    if (attempt.waitMs) {
+      await recordLoginFailure(req, { account: user, reason: 'locked' });
+      return res.status(429).json({
+        success: false,
+        message: loginWaitMessage(attempt.waitMs)
+      });
+    }
+
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordFailedLogin(req, attempt.account);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    const token = jwt.sign(
-      { id: user._id, type: userType },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (user.twoFactor?.enabled) {
+      // The password was right; the code entered next is counted on its own
+      await releaseLoginAttempt(attempt.account);
+      return res.json(twoFactorChallengeResponse(user));
+    }
 
-    const userData = {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: userType === 'admin' ? user.role : 'user'
-    };
+    const { token, refreshToken, expiresIn } = await createSession(req, user);
+    await recordSuccessfulLogin(req, user);
 
     res.json({
       success: true,
       message: 'Login successful',
-      user: userData,
-      token
+      user: toAccountData(user),
+      token,
+      refreshToken,
+      expiresIn
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -170,12 +202,86 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Second login step for admins with two-factor enabled
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const adminId = verifyTwoFactorChallenge(challengeToken);
+    if (!adminId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login attempt expired. Please log in again.'
+      });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code or recovery code is required'
+      });
+    }
+
+    const admin = await User.findById(adminId);
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login attempt expired. Please log in again.'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const attempt = await claimLoginAttempt(admin);
+    if (attempt.waitMs) {
+      await recordLoginFailure(req, { account: admin, reason: 'locked', method: 'two_factor' });
+      return res.status(429).json({
+        success: false,
+        message: loginWaitMessage(attempt.waitMs)
+      });
+    }
+
+    const method = await verifySecondFactor(adminId, { code, recoveryCode });
+    if (!method) {
+      await recordFailedLogin(req, attempt.account, { reason: 'invalid_code', method: 'two_factor' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { token, refreshToken, expiresIn } = await createSession(req, admin);
+    await recordSuccessfulLogin(req, admin, 'two_factor');
+    req.user = admin;
+    if (method === 'recovery_code') {
+      await AuditLog.record(req, 'two_factor_recovery_code_used', {});
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: toAccountData(admin),
+      token,
+      refreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Admin accounts go through password login, which carries the lockout and the two-factor challenge
+const ADMIN_OTP_LOGIN_MESSAGE = 'Admin accounts must log in with their password';
+
 // Login with OTP
 router.post('/login-otp', async (req, res) => {
   try {
     const { email, otp } = req.body;
 
-    const user = await User.findOne({ email });
+    let user = await User.findOne({ email });
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -183,37 +289,37 @@ router.post('/login-otp', async (req, res) => {
       });
     }
 
-    if (!user.verifyOTP(otp)) {
-      return res.status(400).json({
+    if (user.isAdmin) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid or expired OTP'
+        message: ADMIN_OTP_LOGIN_MESSAGE
       });
     }
 
+    user = await verifyOtp(req, user, otp, 'login');
     user.verified = true;
-    user.otp = undefined;
+    clearOtp(user);
     await user.save();
 
-    const token = jwt.sign(
-      { id: user._id, type: 'user' },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    const userData = {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: 'user'
-    };
+    const { token, refreshToken, expiresIn } = await createSession(req, user);
+    await recordSuccessfulLogin(req, user, 'otp');
 
     res.json({
       success: true,
       message: 'Login successful',
-      user: userData,
-      token
+      user: toAccountData(user),
+      token,
+      refreshToken,
+      expiresIn
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('OTP login error:', error);
     res.status(500).json({
       success: false,
@@ -235,7 +341,14 @@ router.post('/send-login-otp', async (req, res) => {
       });
     }
 
-    const otp = user.generateOTP();
+    if (user.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: ADMIN_OTP_LOGIN_MESSAGE
+      });
+    }
+
+    const otp = await issueOtp(user);
     await user.save();
 
     const emailSent = await sendOTPEmail(email, otp, user.name);
@@ -251,6 +364,13 @@ router.post('/send-login-otp', async (req, res) => {
       message: 'OTP sent successfully'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Send OTP error:', error);
     res.status(500).json({
       success: false,
@@ -259,19 +379,240 @@ router.post('/send-login-otp', async (req, res) => {
   }
 });
 
-// Get current user
-router.get('/me', authenticate, async (req, res) => {
+// Request a password reset link
+router.post('/forgot-password', async (req, res) => {
   try {
-    const userData = {
-      id: req.user._id,
-      name: req.user.name,
-      email: req.user.email,
-      role: req.userType === 'admin' ? req.user.role : 'user'
-    };
+    await requestPasswordReset(req.body.email);
 
     res.json({
       success: true,
-      user: userData
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+});
+
+// Set a new password with the token from the reset email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const user = await resetPasswordWithToken(token, password);
+    await Session.revokeAll(user._id, { reason: 'Password reset' });
+    await AuditLog.record(req, 'password_reset', { account: user._id });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// Change own password (also used by admins who must replace their initial password)
+router.post('/change-password', authenticateForAccountSetup, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const account = await User.findById(req.user._id);
+
+    if (!(await account.comparePassword(currentPassword || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await account.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current one'
+      });
+    }
+
+    account.password = newPassword;
+    if (account.mustChangePassword) account.mustChangePassword = false;
+    await account.save();
+    await AuditLog.record(req, 'password_changed', {});
+
+    // Sign out every other device; this one gets a fresh access token
+    await Session.revokeAll(account._id, {
+      except: req.authSession._id,
+      reason: 'Password changed'
+    });
+    const token = signAccessToken(req.authSession);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { token, refreshToken, expiresIn } = await rotateSession(req, req.body.refreshToken);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+});
+
+// Log out of the current session
+router.post('/logout', authenticateForAccountSetup, async (req, res) => {
+  try {
+    req.authSession.revokedAt = new Date();
+    req.authSession.revokedReason = 'Logged out';
+    await req.authSession.save();
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// Log out of every device, including this one
+router.post('/logout-all', authenticateForAccountSetup, async (req, res) => {
+  try {
+    const result = await Session.revokeAll(req.user._id, { reason: 'Logged out everywhere' });
+
+    res.json({
+      success: true,
+      message: `Logged out of ${result.modifiedCount} sessions`
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// List own active sessions
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      account: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device ip lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// Log out one of own sessions (e.g. a lost phone)
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session id'
+      });
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, account: req.user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'Logged out from another device' },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session logged out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out session'
+    });
+  }
+});
+
+// Get current user
+router.get('/me', authenticateForAccountSetup, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: toAccountData(req.user)
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -283,7 +624,7 @@ router.get('/me', authenticate, async (req, res) => {
 });
 
 // List users (admin only)
-router.get('/', authenticate, authorize('admin', 'superadmin'), async (req, res) => {
+router.get('/', authenticate, requirePermission('users:read'), async (req, res) => {
   try {
     const page = Math.max(parseInt(req.query.page) || 1, 1);
     const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
@@ -296,44 +637,27 @@ router.get('/', authenticate, authorize('admin', 'superadmin'), async (req, res)
         { email: { $regex: search, $options: 'i' } }
       ];
     }
-    // Get both regular users and admin users
-    const [regularUsers, adminUsers] = await Promise.all([
+    if (req.query.type === 'admin') query.role = { $ne: null };
+    if (req.query.type === 'user') query.role = null;
+
+    const [users, total] = await Promise.all([
       User.find(query)
-        .select('name email verified createdAt')
-        .sort({ createdAt: -1 }),
-      Admin.find(query)
-        .select('name email role createdAt')
+        .select('name email verified role createdAt')
         .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(query)
     ]);
 
-    // Combine and format all users with type indicator
-    const allUsers = [
-      ...regularUsers.map(user => ({
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        verified: user.verified,
-        createdAt: user.createdAt,
-        type: 'user',
-        role: 'user'
-      })),
-      ...adminUsers.map(admin => ({
-        _id: admin._id,
-        name: admin.name,
-        email: admin.email,
-        verified: true, // Admins are always considered verified
-        createdAt: admin.createdAt,
-        type: 'admin',
-        role: admin.role
-      }))
-    ];
-
-    // Sort combined list by creation date
-    allUsers.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
-
-    // Apply pagination to combined results
-    const total = allUsers.length;
-    const items = allUsers.slice(skip, skip + limit);
+    const items = users.map(user => ({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      verified: user.verified,
+      createdAt: user.createdAt,
+      type: user.isAdmin ? 'admin' : 'user',
+      role: user.role || 'user'
+    }));
 
     res.json({
       success: true,
@@ -353,19 +677,11 @@ router.get('/', authenticate, authorize('admin', 'superadmin'), async (req, res)
   }
 });
 
-// Promote user to admin (Super Admin only)
-router.post('/promote/:id', authenticate, authorize('admin', 'superadmin'), async (req, res) => {
+// Promote a user to admin: the same account gets a role and keeps its password and sessions
+router.post('/promote/:id', authenticate, requirePermission('admins:manage'), async (req, res) => {
   try {
-    // Double-check that only super admins can access this
-    if (req.userType !== 'admin' || req.user.role !== 'main') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Super admin privileges required.'
-      });
-    }
-
     const { id } = req.params;
-    const { role = 'normal', password } = req.body;
+    const { role = 'normal' } = req.body;
 
     // Find the user to promote
     const user = await User.findById(id);
@@ -383,9 +699,7 @@ router.post('/promote/:id', authenticate, authorize('admin', 'superadmin'), asyn
       });
     }
 
-    // Check if admin with this email already exists
-    const existingAdmin = await Admin.findOne({ email: user.email });
-    if (existingAdmin) {
+    if (user.isAdmin) {
       return res.status(400).json({
         success: false,
         message: 'User is already an admin'
@@ -393,38 +707,34 @@ router.post('/promote/:id', authenticate, authorize('admin', 'superadmin'), asyn
     }
 
     // Validate role
-    if (!['user', 'normal', 'main'].includes(role)) {
+    if (!roleExists(role)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid role specified'
       });
     }
 
-    // Use provided password or generate a default one
-    const adminPassword = password || 'admin123';
-
-    // Create admin account
-    const newAdmin = new Admin({
-      name: user.name,
-      email: user.email,
-      password: adminPassword,
-      role: role
-    });
-
-    await newAdmin.save();
+    // Admins can only hand out roles whose permissions they hold themselves
+    if (!canAssignRole(req, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign this role'
+      });
+    }
 
-    // Optionally, you might want to keep the original user or remove it
-    // For now, we'll keep both accounts
+    user.role = role;
+    await user.save();
+    await AuditLog.record(req, 'user_promoted', { account: user._id, role });
 
     res.json({
       success: true,
       message: `User promoted to ${role} successfully`,
       admin: {
-        id: newAdmin._id,
-        name: newAdmin.name,
-        email: newAdmin.email,
-        role: newAdmin.role,
-        createdAt: newAdmin.createdAt
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        createdAt: user.createdAt
       }
     });
   } catch (error) {
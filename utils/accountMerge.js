@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { User } from '../models/User.js';
+
+// Collection that held admin accounts before they were merged into users
+const LEGACY_ADMIN_COLLECTION = 'admins';
+
+// Fields that said which collection an account reference pointed to
+const LEGACY_MODEL_FIELDS = [
+  ['Session', 'accountModel'],
+  ['LoginHistory', 'accountModel'],
+  ['AuditLog', 'actorModel'],
+  ['BloodRequest', 'requestedByModel'],
+  ['Certificate', 'issuedByModel']
+];
+
+/**
+ * Paths in a schema that reference a User, e.g. 'createdBy', 'volunteers[]' or 'statusHistory[].changedBy'.
+ * `[]` marks an array; only one level of arrays is followed.
+ */
+const userReferencePaths = (schema, prefix = '') => {
+  const paths = [];
+  schema.eachPath((path, type) => {
+    if (type.options?.ref === 'User') {
+      paths.push(prefix + path);
+    } else if (type.caster?.options?.ref === 'User') {
+      paths.push(`${prefix}${path}[]`);
+    } else if (type.schema && !prefix.includes('[]')) {
+      paths.push(...userReferencePaths(type.schema, `${prefix}${path}${type.$isMongooseDocumentArray ? '[]' : ''}.`));
+    }
+  });
+  return paths;
+};
+
+// Point every reference to `from` at `to` (raw collection updates, so no validation or timestamps)
+const remapReferences = async (from, to) => {
+  for (const name of mongoose.modelNames()) {
+    const Model = mongoose.model(name);
+    for (const path of userReferencePaths(Model.schema)) {
+      if (!path.includes('[]')) {
+        await Model.collection.updateMany({ [path]: from }, { $set: { [path]: to } });
+        continue;
+      }
+
+      const [arrayPath, field] = path.split('[]');
+      await Model.collection.updateMany(
+        { [arrayPath + field]: from },
+        { $set: { [`${arrayPath}.$[entry]${field}`]: to } },
+        { arrayFilters: [{ [`entry${field}`]: from }] }
+      );
+    }
+  }
+};
+
+const passwordSetAt = (account) => account.passwordChangedAt || account.createdAt || new Date(0);
+
+/**
+ * Move admin accounts from the old `admins` collection into `users`.
+ * An admin whose email has no user account is copied with the same _id. Otherwise the user account
+ * takes over the role and two-factor settings, keeps its own password, and everything
+ * that referenced the admin is pointed at the user. Each admin is deleted once moved, so this is safe
+ * to run again after an interruption. Returns { created, merged }.
+ */
+export const mergeAdminAccounts = async () => {
+  const db = mongoose.connection.db;
+  const result = { created: 0, merged: 0 };
+
+  if (!(await db.listCollections({ name: LEGACY_ADMIN_COLLECTION }).hasNext())) return result;
+  const admins = db.collection(LEGACY_ADMIN_COLLECTION);
+
+  for await (const admin of admins.find({})) {
+    const user = await User.collection.findOne({ email: admin.email });
+
+    if (!user) {
+      const { passwordReset, ...account } = admin;
+      await User.collection.insertOne({ ...account, verified: true });
+      result.created++;
+    } else {
+      const update = { role: admin.role, verified: true };
+      if (admin.twoFactor) update.twoFactor = admin.twoFactor;
+      // The user keeps their own password; promoted admins were often given a shared default one.
+      // A user without a password takes the admin's but has to change it on the next login.
+      if (!user.password) {
+        update.password = admin.password;
+        update.passwordChangedAt = passwordSetAt(admin);
+        update.mustChangePassword = true;
+      }
+
+      await User.collection.updateOne({ _id: user._id }, { $set: update });
+      await remapReferences(admin._id, user._id);
+      result.merged++;
+    }
+
+    await admins.deleteOne({ _id: admin._id });
+  }
+
+  for (const [name, field] of LEGACY_MODEL_FIELDS) {
+    if (!mongoose.modelNames().includes(name)) continue;
+    await mongoose.model(name).collection.updateMany({ [field]: { $exists: true } }, { $unset: { [field]: 1 } });
+  }
+
+  if ((await admins.countDocuments()) === 0) await admins.drop();
+
+  return result;
+};
@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import { AdminApprovalPolicy } from '../models/AdminApprovalPolicy.js';
+import { AdminRequest } from '../models/AdminRequest.js';
+import { User } from '../models/User.js';
+import { sendAdminApprovalEmail } from './emailService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_CHECK_MS = 60 * 60 * 1000;
+
+const REQUIRED_APPLICANT_FIELDS = ['name', 'password', 'rollNo', 'branch', 'year', 'phone'];
+
+/**
+ * Attach the current approval policy to a request being submitted and restart its expiry clock.
+ * A resubmitted request keeps the policy it was first submitted under.
+ */
+export const applyApprovalPolicy = async (adminRequest) => {
+  const policy = await AdminApprovalPolicy.load();
+  if (!adminRequest.approvalPolicy?.requirements?.length) {
+    adminRequest.approvalPolicy = {
+      requirements: policy.requirements.map(({ role, count }) => ({ role, count }))
+    };
+  }
+  adminRequest.expiresAt = new Date(Date.now() + policy.expiryDays * DAY_MS);
+};
+
+// Give the applicant a regular admin account (a student account with this email keeps its own password)
+const grantAdminAccess = async (adminRequest) => {
+  const existingAccount = await User.findOne({ email: adminRequest.email });
+  if (existingAccount) {
+    // One promoted since the request was made keeps its current role
+    if (!existingAccount.isAdmin) existingAccount.role = 'normal';
+    existingAccount.verified = true;
+    await existingAccount.save();
+    return;
+  }
+
+  // Use insertOne to bypass pre-save hooks
+  await User.collection.insertOne({
+    name: adminRequest.name,
+    email: adminRequest.email,
+    password: adminRequest.password, // Already hashed in AdminRequest
+    role: 'normal',
+    verified: true,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+};
+
+/**
+ * Record a reviewer's approve or reject vote on an open request. A rejection decides the request
+ * at once; approvals grant admin access as soon as every requirement of the request's policy is met.
+ * Returns the request after the vote; its status tells whether the vote settled it.
+ * Throws errors with a `status`.
+ */
+export const castVote = async (requestId, reviewer, { decision, comment }) => {
+  if (!['approve', 'reject'].includes(decision)) {
+    throw Object.assign(new Error("Decision must be 'approve' or 'reject'"), { status: 400 });
+  }
+  comment = comment ? String(comment).trim() : undefined;
+
+  // Requests waiting for more information can be rejected, but not approved
+  const votableStatuses = decision === 'reject' ? ['pending', 'info_requested'] : ['pending'];
+
+  const adminRequest = mongoose.isValidObjectId(requestId) ? await AdminRequest.findById(requestId) : null;
+  if (!adminRequest || !votableStatuses.includes(adminRequest.status)) {
+    throw Object.assign(new Error('Admin request not found or already processed'), { status: 404 });
+  }
+
+  // The expiry job runs hourly, so a request can still be open after its deadline
+  const now = new Date();
+  if (adminRequest.expiresAt && adminRequest.expiresAt <= now) {
+    throw Object.assign(new Error('This admin request has expired'), { status: 400 });
+  }
+
+  const countedRoles = (adminRequest.approvalPolicy?.requirements || []).map(requirement => requirement.role);
+  if (!countedRoles.includes(reviewer.role)) {
+    throw Object.assign(
+      new Error(`Only these roles can vote on this request: ${countedRoles.join(', ') || 'none'}`),
+      { status: 403 }
+    );
+  }
+
+  if (decision === 'approve') {
+    const missingFields = REQUIRED_APPLICANT_FIELDS.filter(field => !adminRequest[field]);
+    if (missingFields.length > 0) {
+      throw Object.assign(
+        new Error(`Admin request is incomplete. Missing required information: ${missingFields.join(', ')}`),
+        { status: 400 }
+      );
+    }
+  }
+
+  // One current vote per reviewer
+  const voted = await AdminRequest.findOneAndUpdate(
+    {
+      _id: adminRequest._id,
+      status: { $in: votableStatuses },
+      expiresAt: { $not: { $lte: now } },
+      votes: { $not: { $elemMatch: { voter: reviewer._id, stale: { $ne: true } } } }
+    },
+    { $push: { votes: { voter: reviewer._id, role: reviewer.role, decision, comment } } },
+    { new: true }
+  );
+  if (!voted) {
+    const alreadyVoted = adminRequest.votes.some(vote => !vote.stale && vote.voter.equals(reviewer._id));
+    throw alreadyVoted
+      ? Object.assign(new Error('You have already voted on this request'), { status: 400 })
+      : Object.assign(new Error('Admin request not found or already processed'), { status: 404 });
+  }
+
+  if (decision === 'approve' && !voted.approvalProgress.quorumMet) return voted;
+
+  // Granting access is safe to repeat, so it happens before the status is claimed
+  if (decision === 'approve') await grantAdminAccess(voted);
+
+  const decided = await AdminRequest.findOneAndUpdate(
+    { _id: voted._id, status: { $in: votableStatuses } },
+    {
+      status: decision === 'approve' ? 'approved' : 'rejected',
+      reviewedBy: reviewer._id,
+      reviewedAt: new Date(),
+      ...(decision === 'reject' && { rejectionReason: comment }),
+      $push: { history: { action: decision === 'approve' ? 'approved' : 'rejected', by: reviewer._id, note: comment } }
+    },
+    { new: true }
+  );
+  // Settled concurrently by another reviewer's vote
+  if (!decided) return AdminRequest.findById(voted._id);
+
+  if (decision === 'approve') {
+    await sendAdminApprovalEmail(decided.email, decided.name, true);
+  } else {
+    await sendAdminApprovalEmail(decided.email, decided.name, false, comment);
+  }
+
+  return decided;
+};
+
+// Expire requests that were not decided in time
+export const expireAdminRequests = async () => {
+  const now = new Date();
+  const result = await AdminRequest.updateMany(
+    { status: { $in: ['pending', 'info_requested'] }, expiresAt: { $lt: now } },
+    { status: 'expired', $push: { history: { action: 'expired', at: now } } }
+  );
+  return result.modifiedCount;
+};
+
+export const startAdminRequestExpiry = () => {
+  return setInterval(() => {
+    expireAdminRequests().catch(error => {
+      console.error('Admin request expiry error:', error);
+    });
+  }, EXPIRY_CHECK_MS);
+};
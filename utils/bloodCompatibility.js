@@ -0,0 +1,20 @@
+export const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Red cell ABO/Rh compatibility: recipient group -> donor groups it can receive from
+const COMPATIBLE_DONORS = {
+  'O-': ['O-'],
+  'O+': ['O+', 'O-'],
+  'A-': ['A-', 'O-'],
+  'A+': ['A+', 'A-', 'O+', 'O-'],
+  'B-': ['B-', 'O-'],
+  'B+': ['B+', 'B-', 'O+', 'O-'],
+  'AB-': ['AB-', 'A-', 'B-', 'O-'],
+  'AB+': ['AB+', 'AB-', 'A+', 'A-', 'B+', 'B-', 'O+', 'O-']
+};
+
+export const isValidBloodGroup = (group) => BLOOD_GROUPS.includes(group);
+
+export const getCompatibleDonorGroups = (recipientGroup) => COMPATIBLE_DONORS[recipientGroup] || [];
+
+export const canDonateTo = (donorGroup, recipientGroup) =>
+  getCompatibleDonorGroups(recipientGroup).includes(donorGroup);
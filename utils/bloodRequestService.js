@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import { Donor } from '../models/Donor.js';
+import { BloodRequest } from '../models/BloodRequest.js';
+import { getCompatibleDonorGroups } from './bloodCompatibility.js';
+import { sendBloodRequestAlertEmail } from './emailService.js';
+import { backendUrl } from './urls.js';
+
+// Donors notified per round, and how long to wait for responses before the next round
+export const ROUND_SETTINGS = {
+  critical: { size: 25, intervalMinutes: 30 },
+  urgent: { size: 15, intervalMinutes: 120 },
+  normal: { size: 10, intervalMinutes: 720 }
+};
+
+const ESCALATION_CHECK_MS = 5 * 60 * 1000;
+
+export const hashResponseToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Compatible, currently eligible and available donors not yet contacted for this request
+export const findMatchingDonors = async (request, limit) => {
+  const contacted = request.contacts.map(contact => contact.donor);
+
+  const donors = await Donor.find({
+    isActive: true,
+    bloodGroup: { $in: getCompatibleDonorGroups(request.patientBloodGroup) },
+    _id: { $nin: contacted }
+  });
+
+  return donors
+    .filter(donor => donor.isEligibleForDonation && donor.isAvailable)
+    .sort((a, b) => {
+      // Exact blood group first, then donors who donated longest ago
+      const exactMatch = (b.bloodGroup === request.patientBloodGroup) - (a.bloodGroup === request.patientBloodGroup);
+      if (exactMatch !== 0) return exactMatch;
+      return (a.lastDonation?.getTime() || 0) - (b.lastDonation?.getTime() || 0);
+    })
+    .slice(0, limit);
+};
+
+// Email the next batch of matching donors and record who was contacted
+export const notifyNextRound = async (request) => {
+  const { size } = ROUND_SETTINGS[request.urgency] || ROUND_SETTINGS.urgent;
+  const donors = await findMatchingDonors(request, size);
+
+  request.lastRoundAt = new Date();
+
+  if (donors.length > 0) {
+    const round = request.currentRound + 1;
+
+    for (const donor of donors) {
+      const token = crypto.randomBytes(32).toString('hex');
+      const respondUrl = backendUrl(`/api/blood-requests/respond/${token}`);
+
+      const emailSent = await sendBloodRequestAlertEmail(
+        donor.email,
+        donor.name,
+        request,
+        `${respondUrl}?answer=accept`,
+        `${respondUrl}?answer=decline`
+      );
+
+      request.contacts.push({
+        donor: donor._id,
+        round,
+        emailSent,
+        responseTokenHash: hashResponseToken(token)
+      });
+    }
+
+    request.currentRound = round;
+  }
+
+  await request.save();
+  return donors.length;
+};
+
+// Expire overdue requests and start a new round where the previous one got too few acceptances
+export const escalateOpenRequests = async () => {
+  const now = new Date();
+  await BloodRequest.updateMany(
+    { status: 'pending_approval', neededBy: { $lt: now } },
+    { status: 'expired', closedAt: now }
+  );
+
+  const requests = await BloodRequest.find({ status: 'open' });
+
+  for (const request of requests) {
+    if (request.neededBy < now) {
+      request.status = 'expired';
+      request.closedAt = now;
+      await request.save();
+      continue;
+    }
+
+    if (request.acceptedCount >= request.unitsNeeded) continue;
+
+    const { intervalMinutes } = ROUND_SETTINGS[request.urgency] || ROUND_SETTINGS.urgent;
+    if (request.lastRoundAt && now - request.lastRoundAt < intervalMinutes * 60 * 1000) continue;
+
+    await notifyNextRound(request);
+  }
+};
+
+export const startBloodRequestEscalation = () => {
+  return setInterval(() => {
+    escalateOpenRequests().catch(error => {
+      console.error('Blood request escalation error:', error);
+    });
+  }, ESCALATION_CHECK_MS);
+};
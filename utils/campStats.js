@@ -0,0 +1,54 @@
+import { Donation } from '../models/Donation.js';
+import { CampRegistration } from '../models/CampRegistration.js';
+import { Screening } from '../models/Screening.js';
+import { BLOOD_GROUPS } from './bloodCompatibility.js';
+
+/**
+ * Aggregate camp statistics: registrations (booked), waitlisted, donors screened, deferred, units collected
+ * and units collected per blood group.
+ */
+export const getCampStats = async (camp) => {
+  const [registrations, waitlisted, outcomes, screenings, byGroup] = await Promise.all([
+    CampRegistration.countDocuments({ camp: camp._id, status: 'booked' }),
+    CampRegistration.countDocuments({ camp: camp._id, status: 'waitlisted' }),
+    Donation.aggregate([
+      { $match: { camp: camp._id, isVoid: false } },
+      { $group: { _id: '$outcome', count: { $sum: 1 }, donors: { $addToSet: '$donor' } } }
+    ]),
+    Screening.aggregate([
+      { $match: { camp: camp._id } },
+      { $group: { _id: '$outcome', donors: { $addToSet: '$donor' } } }
+    ]),
+    Donation.aggregate([
+      { $match: { camp: camp._id, isVoid: false, outcome: 'donated' } },
+      { $lookup: { from: 'donors', localField: 'donor', foreignField: '_id', as: 'donor' } },
+      { $unwind: '$donor' },
+      { $group: { _id: '$donor.bloodGroup', units: { $sum: 1 } } }
+    ])
+  ]);
+
+  const outcome = (name) => outcomes.find(entry => entry._id === name);
+  const donorIds = (entries) => entries.flatMap(entry => entry.donors.map(String));
+
+  // Donors count once however many screenings or ledger entries they have
+  const screenedDonors = new Set([...donorIds(outcomes), ...donorIds(screenings)]);
+  const deferredDonors = new Set([
+    ...donorIds(outcomes.filter(entry => entry._id === 'deferred')),
+    ...donorIds(screenings.filter(entry => entry._id !== 'accepted'))
+  ]);
+  const unitsCollected = outcome('donated')?.count || 0;
+
+  const unitsByBloodGroup = Object.fromEntries(BLOOD_GROUPS.map(group => [group, 0]));
+  byGroup.forEach(entry => { unitsByBloodGroup[entry._id] = entry.units; });
+
+  return {
+    registrations,
+    waitlisted,
+    donorsScreened: screenedDonors.size,
+    deferred: deferredDonors.size,
+    unitsCollected,
+    targetUnits: camp.targetUnits,
+    targetProgress: camp.targetUnits ? Math.round((unitsCollected / camp.targetUnits) * 100) : null,
+    unitsByBloodGroup
+  };
+};
@@ -0,0 +1,99 @@
+import QRCode from 'qrcode';
+import { Certificate } from '../models/Certificate.js';
+import { CampRegistration } from '../models/CampRegistration.js';
+import { Donation } from '../models/Donation.js';
+import { Donor } from '../models/Donor.js';
+import { createPdfDocument } from './pdf.js';
+import { backendUrl } from './urls.js';
+
+export const certificateVerificationUrl = (certificateId) =>
+  backendUrl(`/api/certificates/verify/${certificateId}`);
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// Draw one certificate on the current page
+const drawCertificate = async (doc, certificate) => {
+  const { width, height } = doc.page;
+  const url = certificateVerificationUrl(certificate.certificateId);
+  const qr = await QRCode.toBuffer(url, { errorCorrectionLevel: 'M', margin: 1, width: 200 });
+
+  doc.lineWidth(3).strokeColor('#764ba2').rect(24, 24, width - 48, height - 48).stroke();
+  doc.lineWidth(1).strokeColor('#667eea').rect(32, 32, width - 64, height - 64).stroke();
+
+  doc.fillColor('black').font('Helvetica-Bold').fontSize(22)
+    .text('MMMUT NSS Blood Donation Camp', 60, 70, { width: width - 120, align: 'center' });
+  doc.font('Helvetica').fontSize(12)
+    .text('National Service Scheme, Madan Mohan Malaviya University of Technology', { width: width - 120, align: 'center' });
+
+  doc.moveDown(2).font('Helvetica-Bold').fontSize(26).fillColor('#764ba2')
+    .text(certificate.type === 'donation' ? 'Certificate of Blood Donation' : 'Certificate of Participation', { width: width - 120, align: 'center' });
+
+  const where = certificate.eventName ? ` at ${certificate.eventName}` : '';
+  const body = certificate.type === 'donation'
+    ? `voluntarily donated blood on ${formatDate(certificate.eventDate)}${where}. Your gift helps save lives.`
+    : `participated in ${certificate.eventName || 'the blood donation camp'} held on ${formatDate(certificate.eventDate)}.`;
+
+  doc.moveDown(1.5).fillColor('black').font('Helvetica').fontSize(14)
+    .text('This is to certify that', { width: width - 120, align: 'center' });
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(22)
+    .text(certificate.donorName, { width: width - 120, align: 'center' });
+  doc.moveDown(0.5).font('Helvetica').fontSize(14)
+    .text(`Blood Group ${certificate.bloodGroup}`, { width: width - 120, align: 'center' })
+    .moveDown(0.5)
+    .text(body, { width: width - 120, align: 'center' });
+
+  const qrSize = 90;
+  doc.image(qr, width - 60 - qrSize, height - 60 - qrSize, { width: qrSize });
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Certificate ID: ${certificate.certificateId}`, 60, height - 95)
+    .text(`Issued on ${formatDate(certificate.createdAt || new Date())}`, 60, height - 82)
+    .text(`Verify at ${url}`, 60, height - 69, { width: width - 200 })
+    .fillColor('black');
+};
+
+// Stream certificates as one PDF, one page each
+export const streamCertificatesPdf = async (certificates, res, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const doc = createPdfDocument({ layout: 'landscape', autoFirstPage: false });
+  doc.pipe(res);
+  for (const certificate of certificates) {
+    doc.addPage();
+    await drawCertificate(doc, certificate);
+  }
+  doc.end();
+};
+
+// Donors who took part in a camp: checked in at the desk or have a ledger entry for it
+export const findCampParticipants = async (camp) => {
+  const [checkedIn, donated] = await Promise.all([
+    CampRegistration.find({ camp: camp._id, 'checkIn.at': { $ne: null } }).distinct('donor'),
+    Donation.find({ camp: camp._id, isVoid: false }).distinct('donor')
+  ]);
+  const ids = [...new Set([...checkedIn, ...donated].map(String))];
+  return Donor.find({ _id: { $in: ids } });
+};
+
+/**
+ * Issue certificates for everyone at a camp. Existing certificates are reused, so this can be re-run.
+ * Returns the certificates for the camp of the given type.
+ */
+export const issueCampCertificates = async (camp, type, issuedBy) => {
+  if (type === 'donation') {
+    const donations = await Donation.find({ camp: camp._id, isVoid: false, outcome: 'donated' })
+      .populate('donor', 'name bloodGroup');
+    for (const donation of donations) {
+      if (!donation.donor) continue;
+      await Certificate.issue({ type, donor: donation.donor, donation, camp, issuedBy });
+    }
+  } else {
+    const donors = await findCampParticipants(camp);
+    for (const donor of donors) {
+      await Certificate.issue({ type, donor, camp, issuedBy });
+    }
+  }
+
+  return Certificate.find({ camp: camp._id, type, revokedAt: null }).sort({ donorName: 1 });
+};
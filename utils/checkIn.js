@@ -0,0 +1,171 @@
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { Camp } from '../models/Camp.js';
+import { CampRegistration } from '../models/CampRegistration.js';
+import { Donor } from '../models/Donor.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Booking pass: tied to one camp booking, valid until two days after the camp
+export const createBookingPass = (registration, camp) => {
+  const secondsUntilCamp = Math.ceil((new Date(camp.date).getTime() - Date.now()) / 1000);
+  return jwt.sign(
+    { type: 'checkin', rid: String(registration._id), camp: String(camp._id) },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(secondsUntilCamp + 2 * DAY_SECONDS, 60 * 60) }
+  );
+};
+
+// Donor pass: lets a registered donor walk in at any camp
+export const createDonorPass = (donor) =>
+  jwt.sign({ type: 'checkin', did: String(donor._id) }, process.env.JWT_SECRET, { expiresIn: '365d' });
+
+export const passToQRDataUrl = (token) =>
+  QRCode.toDataURL(token, { errorCorrectionLevel: 'M', margin: 1, width: 300 });
+
+const verifyPass = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.type === 'checkin' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Resolve the camp registration a pass refers to, creating a walk-in registration for donor passes
+const findRegistrationForPass = async (camp, payload, scannedAt) => {
+  if (payload.rid) {
+    if (payload.camp !== String(camp._id)) {
+      return { error: 'This pass is for a different camp' };
+    }
+    const registration = await CampRegistration.findById(payload.rid);
+    if (!registration || registration.status === 'cancelled') {
+      return { error: 'This booking has been cancelled' };
+    }
+    if (registration.status === 'waitlisted') {
+      return { error: 'This booking is still on the waitlist' };
+    }
+    return { registration };
+  }
+
+  const donor = await Donor.findOne({ _id: payload.did, isActive: true });
+  if (!donor) {
+    return { error: 'Donor not found' };
+  }
+
+  let registration = await CampRegistration.findOne({ camp: camp._id, donor: donor._id, status: { $ne: 'cancelled' } });
+  if (!registration) {
+    registration = await CampRegistration.create({
+      camp: camp._id,
+      user: donor.user,
+      donor: donor._id,
+      walkIn: true,
+      status: 'booked',
+      bookedAt: scannedAt
+    });
+  }
+  // Waitlisted donors only get in once a place in their slot opens up
+  if (registration.status === 'waitlisted') {
+    return { error: 'This donor is on the waitlist for this camp' };
+  }
+  return { registration };
+};
+
+/**
+ * Check a QR pass in at a camp: mark attendance, run the eligibility check and queue
+ * eligible donors for screening. A pass that was already used is reported as a duplicate
+ * together with the original check-in; the first check-in always wins.
+ * Returns { result: 'checked_in' | 'duplicate' | 'invalid', message, registration?, eligibility?, originalCheckIn? }.
+ */
+export const checkInPass = async (camp, token, { adminId, scannedAt = new Date(), deviceId, source = 'online' } = {}) => {
+  const payload = verifyPass(token);
+  if (!payload) {
+    return { result: 'invalid', message: 'Invalid or expired pass' };
+  }
+
+  const { registration, error } = await findRegistrationForPass(camp, payload, scannedAt);
+  if (error) {
+    return { result: 'invalid', message: error };
+  }
+
+  // Claim the check-in atomically so two desks scanning the same pass can't both succeed.
+  // Only booked registrations qualify, so a booking moved to the waitlist meanwhile is not let in.
+  const claimed = await CampRegistration.findOneAndUpdate(
+    { _id: registration._id, status: 'booked', 'checkIn.at': null },
+    { $set: { checkIn: { at: scannedAt, by: adminId, deviceId, source } } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const current = await CampRegistration.findById(registration._id).select('checkIn status');
+    if (!current?.checkIn?.at) {
+      return { result: 'invalid', message: 'This booking is no longer confirmed' };
+    }
+
+    const existing = await CampRegistration.findByIdAndUpdate(
+      registration._id,
+      { $push: { duplicateScans: { at: scannedAt, by: adminId, deviceId } } },
+      { new: true }
+    ).populate('checkIn.by', 'name');
+
+    return {
+      result: 'duplicate',
+      message: 'This pass has already been checked in',
+      registration: existing,
+      originalCheckIn: existing.checkIn
+    };
+  }
+
+  const donor = await Donor.findById(claimed.donor);
+  const eligibility = donor.eligibility;
+
+  claimed.checkIn.eligible = eligibility.eligible;
+  if (eligibility.eligible) {
+    claimed.queueNumber = await Camp.nextQueueNumber(camp._id);
+    claimed.queueStatus = 'waiting';
+  } else {
+    claimed.queueStatus = 'ineligible';
+  }
+  await claimed.save();
+
+  return {
+    result: 'checked_in',
+    message: eligibility.eligible
+      ? `Checked in. Queue number ${claimed.queueNumber}.`
+      : 'Checked in, but the donor is not eligible to donate today',
+    registration: claimed,
+    donor: { _id: donor._id, name: donor.name, bloodGroup: donor.bloodGroup, rollNo: donor.rollNo },
+    eligibility
+  };
+};
+
+/**
+ * Apply scans collected offline, oldest first. Each scan is { token, scannedAt, deviceId, clientScanId }.
+ * Scan times in the future are clamped to now.
+ */
+export const syncOfflineScans = async (camp, scans, adminId) => {
+  const now = new Date();
+  const ordered = scans
+    .map((scan, index) => {
+      const scannedAt = new Date(scan.scannedAt);
+      return {
+        ...scan,
+        index,
+        scannedAt: isNaN(scannedAt.getTime()) || scannedAt > now ? now : scannedAt
+      };
+    })
+    .sort((a, b) => a.scannedAt - b.scannedAt);
+
+  const results = [];
+  for (const scan of ordered) {
+    const outcome = await checkInPass(camp, scan.token, {
+      adminId,
+      scannedAt: scan.scannedAt,
+      deviceId: scan.deviceId,
+      source: 'offline_sync'
+    });
+    results.push({ clientScanId: scan.clientScanId, index: scan.index, ...outcome });
+  }
+
+  return results.sort((a, b) => a.index - b.index);
+};
@@ -0,0 +1,120 @@
+// Probable duplicate donor detection by normalized rollNo, email, phone and fuzzy name
+
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+export const normalizeRollNo = (rollNo = '') => rollNo.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+export const normalizeEmail = (email = '') => {
+  const [local, domain] = email.trim().toLowerCase().split('@');
+  if (!domain) return local;
+  return `${local.split('+')[0]}@${domain}`;
+};
+
+// Compare phone numbers by their last 10 digits so +91 / 0 prefixes don't matter
+export const normalizePhone = (phone = '') => phone.replace(/\D/g, '').slice(-10);
+
+export const normalizeName = (name = '') =>
+  name.toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean).sort().join(' ');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for identical names, 0 for completely different ones
+export const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+};
+
+/**
+ * Group probable duplicates. Donors sharing a normalized rollNo, email or phone are grouped;
+ * so are donors with very similar names, the same blood group and the same branch.
+ * Returns [{ donors, reasons, suggestedSurvivorId }] for groups of two or more.
+ */
+export const findDuplicateGroups = (donors) => {
+  const parent = donors.map((_, index) => index);
+  const reasons = donors.map(() => new Set());
+
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b, reason) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent[rootB] = rootA;
+    reasons[a].add(reason);
+    reasons[b].add(reason);
+  };
+
+  const keyed = [
+    ['rollNo', donor => normalizeRollNo(donor.rollNo)],
+    ['email', donor => normalizeEmail(donor.email)],
+    ['phone', donor => normalizePhone(donor.phone)]
+  ];
+
+  for (const [reason, keyOf] of keyed) {
+    const firstByKey = new Map();
+    donors.forEach((donor, index) => {
+      const key = keyOf(donor);
+      if (!key) return;
+      if (firstByKey.has(key)) {
+        union(firstByKey.get(key), index, reason);
+      } else {
+        firstByKey.set(key, index);
+      }
+    });
+  }
+
+  // Fuzzy names are only compared within the same blood group and branch
+  const buckets = new Map();
+  donors.forEach((donor, index) => {
+    const key = `${donor.bloodGroup}|${(donor.branch || '').toLowerCase()}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  });
+
+  for (const indexes of buckets.values()) {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        if (nameSimilarity(donors[indexes[i]].name, donors[indexes[j]].name) >= NAME_SIMILARITY_THRESHOLD) {
+          union(indexes[i], indexes[j], 'name');
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  donors.forEach((donor, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+
+  return [...groups.values()]
+    .filter(indexes => indexes.length > 1)
+    .map(indexes => {
+      const members = indexes.map(index => donors[index]);
+      // Suggest keeping the record with the most donations, then the most recently updated
+      const survivor = [...members].sort((a, b) =>
+        (b.donationCount || 0) - (a.donationCount || 0) || new Date(b.updatedAt) - new Date(a.updatedAt)
+      )[0];
+
+      return {
+        donors: members,
+        reasons: [...new Set(indexes.flatMap(index => [...reasons[index]]))],
+        suggestedSurvivorId: survivor._id
+      };
+    });
+};
@@ -0,0 +1,96 @@
+import ExcelJS from 'exceljs';
+import { neutralizeFormula, toCSVLine } from './csv.js';
+import { createPdfDocument, createTable, drawHeading } from './pdf.js';
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+export const EXPORT_COLUMNS = {
+  name: { header: 'Name', value: donor => donor.name },
+  rollNo: { header: 'Roll No', value: donor => donor.rollNo },
+  bloodGroup: { header: 'Blood Group', value: donor => donor.bloodGroup },
+  age: { header: 'Age', value: donor => donor.age },
+  sex: { header: 'Sex', value: donor => donor.sex },
+  weightKg: { header: 'Weight (kg)', value: donor => donor.weightKg },
+  phone: { header: 'Phone', value: donor => donor.phone },
+  email: { header: 'Email', value: donor => donor.email },
+  branch: { header: 'Branch', value: donor => donor.branch },
+  year: { header: 'Year', value: donor => donor.year },
+  lastDonation: { header: 'Last Donation', value: donor => formatDate(donor.lastDonation) },
+  donationCount: { header: 'Donations', value: donor => donor.donationCount },
+  eligible: { header: 'Eligible', value: donor => (donor.isEligibleForDonation ? 'Yes' : 'No') },
+  nextEligibleDate: { header: 'Next Eligible', value: donor => formatDate(donor.eligibility.nextEligibleDate) },
+  medicalHistory: { header: 'Medical History', value: donor => donor.medicalHistory }
+};
+
+// Columns only the super admin may export
+export const RESTRICTED_COLUMNS = ['medicalHistory'];
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  'name', 'rollNo', 'bloodGroup', 'age', 'phone', 'email', 'branch', 'year', 'lastDonation', 'donationCount', 'eligible'
+];
+
+// Parse a comma separated column list, throwing a 400 error on unknown columns
+export const parseExportColumns = (value) => {
+  if (!value) return DEFAULT_EXPORT_COLUMNS;
+
+  const columns = [...new Set(value.toString().split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+  if (columns.length === 0 || unknown.length > 0) {
+    throw Object.assign(new Error(`Unknown export columns: ${unknown.join(', ') || 'none selected'}`), { status: 400 });
+  }
+  return columns;
+};
+
+/**
+ * Stream donors (any async iterable) to the response in the given format.
+ * Resolves with the number of exported rows.
+ */
+export const streamDonorExport = async (res, donors, columns, format) => {
+  const headers = columns.map(column => EXPORT_COLUMNS[column].header);
+  const rowFor = (donor) => columns.map(column => EXPORT_COLUMNS[column].value(donor));
+  const filename = `donors-${formatDate(new Date())}.${format}`;
+  let count = 0;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.write(toCSVLine(headers));
+    for await (const donor of donors) {
+      res.write(toCSVLine(rowFor(donor)));
+      count++;
+    }
+    res.end();
+    return count;
+  }
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Donors');
+    sheet.columns = headers.map(header => ({ header, width: 18 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+    for await (const donor of donors) {
+      sheet.addRow(rowFor(donor).map(neutralizeFormula)).commit();
+      count++;
+    }
+    await sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  const doc = createPdfDocument({ layout: 'landscape' });
+  doc.pipe(res);
+  drawHeading(doc, 'Donor List', `Generated on ${new Date().toLocaleString('en-IN')}`);
+  const table = createTable(doc, headers, { fontSize: columns.length > 10 ? 7 : 8 });
+  for await (const donor of donors) {
+    table.addRow(rowFor(donor));
+    count++;
+  }
+  doc.end();
+  return count;
+};
@@ -0,0 +1,81 @@
+import { BLOOD_GROUPS, getCompatibleDonorGroups } from './bloodCompatibility.js';
+
+const SORT_FIELDS = ['name', 'rollNo', 'bloodGroup', 'branch', 'year', 'lastDonation', 'donationCount', 'createdAt'];
+
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build a Donor query from request query parameters:
+ * recipientBloodGroup (expands to compatible donor groups), bloodGroup, branch, year,
+ * lastDonationFrom, lastDonationTo and q (free text over name, rollNo, phone, email).
+ * Throws an error with status 400 on invalid input.
+ */
+export const buildDonorQuery = (params = {}) => {
+  const query = { isActive: true };
+
+  if (params.recipientBloodGroup) {
+    const compatible = getCompatibleDonorGroups(params.recipientBloodGroup);
+    if (compatible.length === 0) {
+      throw Object.assign(new Error('Invalid recipient blood group'), { status: 400 });
+    }
+    query.bloodGroup = { $in: compatible };
+  }
+
+  if (params.bloodGroup) {
+    const groups = params.bloodGroup.toString().split(',').map(group => group.trim());
+    if (!groups.every(group => BLOOD_GROUPS.includes(group))) {
+      throw Object.assign(new Error('Invalid blood group'), { status: 400 });
+    }
+    const allowed = query.bloodGroup ? query.bloodGroup.$in.filter(group => groups.includes(group)) : groups;
+    query.bloodGroup = { $in: allowed };
+  }
+
+  if (params.branch) {
+    query.branch = { $regex: `^${escapeRegex(params.branch.toString().trim())}$`, $options: 'i' };
+  }
+
+  if (params.year) {
+    query.year = params.year.toString().trim();
+  }
+
+  const from = parseDate(params.lastDonationFrom);
+  const to = parseDate(params.lastDonationTo);
+  if (from || to) {
+    query.lastDonation = {};
+    if (from) query.lastDonation.$gte = from;
+    if (to) query.lastDonation.$lte = to;
+  }
+
+  const search = (params.q || '').toString().trim();
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    query.$or = [
+      { name: pattern },
+      { rollNo: pattern },
+      { phone: pattern },
+      { email: pattern }
+    ];
+  }
+
+  return query;
+};
+
+// Sort spec from sortBy / order query parameters
+export const buildDonorSort = (params = {}) => {
+  const field = SORT_FIELDS.includes(params.sortBy) ? params.sortBy : 'createdAt';
+  const direction = params.order === 'asc' ? 1 : -1;
+  return { [field]: direction, _id: direction };
+};
+
+// Apply the eligibility=eligible|ineligible filter, which is computed from the rules engine
+export const filterByEligibility = (donors, status) => {
+  if (status === 'eligible') return donors.filter(donor => donor.isEligibleForDonation);
+  if (status === 'ineligible') return donors.filter(donor => !donor.isEligibleForDonation);
+  return donors;
+};
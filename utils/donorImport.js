@@ -0,0 +1,223 @@
+import ExcelJS from 'exceljs';
+import { Donor, donorContactErrors } from '../models/Donor.js';
+import { parseCSV } from './csv.js';
+import { getEligibilityRules } from './eligibility.js';
+
+export const MAX_IMPORT_ROWS = 2000;
+
+// Accepted spreadsheet headers (normalized: lowercase, letters and digits only) -> Donor field
+const HEADER_ALIASES = {
+  name: 'name',
+  fullname: 'name',
+  rollno: 'rollNo',
+  rollnumber: 'rollNo',
+  bloodgroup: 'bloodGroup',
+  age: 'age',
+  sex: 'sex',
+  gender: 'sex',
+  weight: 'weightKg',
+  weightkg: 'weightKg',
+  phone: 'phone',
+  mobile: 'phone',
+  phonenumber: 'phone',
+  email: 'email',
+  emailaddress: 'email',
+  branch: 'branch',
+  year: 'year',
+  medicalhistory: 'medicalHistory',
+  lastdonation: 'lastDonation',
+  lastdonationdate: 'lastDonation'
+};
+
+const UPDATABLE_FIELDS = ['name', 'rollNo', 'bloodGroup', 'age', 'sex', 'weightKg', 'phone', 'email', 'branch', 'year', 'medicalHistory'];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// ExcelJS returns rich values for some cells (hyperlinks, formulas, rich text)
+const cellToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.text !== undefined) return cellToString(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    return '';
+  }
+  return String(value);
+};
+
+const readRows = async (file) => {
+  const name = (file.originalname || '').toLowerCase();
+
+  if (name.endsWith('.xlsx')) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+      // row.values is 1-indexed
+      rows.push(row.values.slice(1).map(cellToString));
+    });
+    return rows;
+  }
+
+  return parseCSV(file.buffer.toString('utf8'));
+};
+
+/**
+ * Parse an uploaded CSV or XLSX file into row objects keyed by Donor field.
+ * Each row carries its 1-based spreadsheet line in `_line`.
+ */
+export const parseDonorSpreadsheet = async (file) => {
+  const [headerRow, ...dataRows] = await readRows(file);
+  if (!headerRow) {
+    throw Object.assign(new Error('The file is empty'), { status: 400 });
+  }
+
+  const fields = headerRow.map(header => HEADER_ALIASES[normalizeHeader(header)]);
+  if (!fields.includes('rollNo') && !fields.includes('email')) {
+    throw Object.assign(new Error('The file must have a rollNo or email column'), { status: 400 });
+  }
+
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw Object.assign(new Error(`A file can contain at most ${MAX_IMPORT_ROWS} rows`), { status: 400 });
+  }
+
+  return dataRows.map((cells, index) => {
+    const row = { _line: index + 2 };
+    fields.forEach((field, column) => {
+      const value = (cells[column] ?? '').toString().trim();
+      if (field && value !== '') row[field] = value;
+    });
+    return row;
+  });
+};
+
+const toDonorData = (row) => {
+  const data = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (row[field] !== undefined) data[field] = row[field];
+  }
+  if (data.bloodGroup) data.bloodGroup = data.bloodGroup.toUpperCase().replace(/\s/g, '');
+  if (data.sex) data.sex = data.sex.toLowerCase();
+  if (data.email) data.email = data.email.toLowerCase();
+  if (data.age !== undefined) data.age = Number(data.age);
+  if (data.weightKg !== undefined) data.weightKg = Number(data.weightKg);
+  return data;
+};
+
+const validationMessages = (error) =>
+  error ? Object.values(error.errors).map(err => err.message) : [];
+
+/**
+ * Validate and import donor rows. Existing donors are matched by rollNo or email and updated.
+ * With dryRun nothing is written. Returns { summary, rows } where each row has a status of
+ * created, updated, skipped or error.
+ */
+export const importDonors = async (rows, { dryRun = false, adminId } = {}) => {
+  const { minAge, maxAge } = getEligibilityRules();
+
+  const existing = await Donor.find({ isActive: true });
+  const byRollNo = new Map(existing.map(donor => [donor.rollNo.toLowerCase(), donor]));
+  const byEmail = new Map(existing.map(donor => [donor.email.toLowerCase(), donor]));
+  const seenInFile = new Set();
+
+  const report = [];
+  const summary = { created: 0, updated: 0, skipped: 0, errors: 0 };
+
+  const addResult = (result) => {
+    report.push(result);
+    summary[result.status === 'error' ? 'errors' : result.status]++;
+  };
+
+  for (const row of rows) {
+    const data = toDonorData(row);
+    const keys = [data.rollNo && `roll:${data.rollNo.toLowerCase()}`, data.email && `email:${data.email}`].filter(Boolean);
+
+    if (keys.length === 0) {
+      addResult({ row: row._line, status: 'error', errors: ['rollNo or email is required'] });
+      continue;
+    }
+
+    if (keys.some(key => seenInFile.has(key))) {
+      addResult({ row: row._line, status: 'skipped', message: 'Duplicate of an earlier row in this file' });
+      continue;
+    }
+    keys.forEach(key => seenInFile.add(key));
+
+    let lastDonation;
+    if (row.lastDonation) {
+      lastDonation = new Date(row.lastDonation);
+      if (isNaN(lastDonation.getTime()) || lastDonation > new Date()) {
+        addResult({ row: row._line, status: 'error', errors: ['lastDonation must be a valid past date'] });
+        continue;
+      }
+    }
+
+    if (data.age !== undefined && !(data.age >= minAge && data.age <= maxAge)) {
+      addResult({ row: row._line, status: 'error', errors: [`Age must be between ${minAge} and ${maxAge}`] });
+      continue;
+    }
+
+    const match = (data.rollNo && byRollNo.get(data.rollNo.toLowerCase())) || (data.email && byEmail.get(data.email));
+
+    if (match) {
+      const changed = UPDATABLE_FIELDS.filter(field =>
+        data[field] !== undefined && String(match[field] ?? '') !== String(data[field])
+      );
+      const newerDonation = lastDonation && (!match.lastDonation || lastDonation > match.lastDonation);
+
+      if (changed.length === 0 && !newerDonation) {
+        addResult({ row: row._line, status: 'skipped', donorId: match._id, message: 'No changes' });
+        continue;
+      }
+
+      // Validate the changed fields on a copy so a dry run leaves the donor untouched
+      const candidate = new Donor({ ...match.toObject({ virtuals: false }), ...data });
+      const errors = [
+        ...validationMessages(candidate.validateSync(changed)),
+        ...donorContactErrors({
+          phone: changed.includes('phone') ? data.phone : undefined,
+          email: changed.includes('email') ? data.email : undefined
+        })
+      ];
+      if (errors.length > 0) {
+        addResult({ row: row._line, status: 'error', donorId: match._id, errors });
+        continue;
+      }
+
+      if (!dryRun) {
+        changed.forEach(field => { match[field] = data[field]; });
+        await match.save();
+        if (newerDonation) {
+          await match.recordDonation({ donatedAt: lastDonation, event: 'Bulk import', recordedBy: adminId });
+        }
+      }
+
+      addResult({ row: row._line, status: 'updated', donorId: match._id, fields: changed });
+      continue;
+    }
+
+    const donor = new Donor(data);
+    const errors = [...validationMessages(donor.validateSync()), ...donorContactErrors(data)];
+    if (errors.length > 0) {
+      addResult({ row: row._line, status: 'error', errors });
+      continue;
+    }
+
+    if (!dryRun) {
+      await donor.save();
+      if (lastDonation) {
+        await donor.recordDonation({ donatedAt: lastDonation, event: 'Bulk import', recordedBy: adminId });
+      }
+      byRollNo.set(donor.rollNo.toLowerCase(), donor);
+      byEmail.set(donor.email, donor);
+    }
+
+    addResult({ row: row._line, status: 'created', donorId: dryRun ? undefined : donor._id });
+  }
+
+  return { summary, rows: report };
+};
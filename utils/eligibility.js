@@ -0,0 +1,171 @@
+// Donation eligibility engine. Rules live in the database (EligibilityRules model)
+// and are cached here so that synchronous Donor virtuals can use them.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const DONATION_TYPES = ['whole_blood', 'platelets', 'plasma'];
+export const DONOR_SEXES = ['male', 'female', 'other'];
+export const DEFERRAL_CATEGORIES = ['tattoo', 'illness', 'medication', 'travel', 'surgery', 'low_hemoglobin', 'other'];
+
+export const DEFAULT_ELIGIBILITY_RULES = {
+  minAge: 18,
+  maxAge: 65,
+  minWeightKg: 45,
+  // Minimum days after a donation of `donationType` before the next donation.
+  // A sex-specific rule wins over the 'any' rule.
+  intervals: [
+    { sex: 'any', donationType: 'whole_blood', minDays: 90 },
+    { sex: 'female', donationType: 'whole_blood', minDays: 120 },
+    { sex: 'any', donationType: 'platelets', minDays: 14 },
+    { sex: 'any', donationType: 'plasma', minDays: 14 }
+  ],
+  // Default deferral length per category when an admin doesn't give an end date
+  deferralDefaults: [
+    { category: 'tattoo', days: 180 },
+    { category: 'illness', days: 14 },
+    { category: 'medication', days: 7 },
+    { category: 'travel', days: 28 },
+    { category: 'surgery', days: 180 },
+    { category: 'low_hemoglobin', days: 90 },
+    { category: 'other', days: 30 }
+  ]
+};
+
+let cachedRules = DEFAULT_ELIGIBILITY_RULES;
+
+export const getEligibilityRules = () => cachedRules;
+
+export const setEligibilityRules = (rules) => {
+  cachedRules = { ...DEFAULT_ELIGIBILITY_RULES, ...rules };
+  return cachedRules;
+};
+
+// Minimum interval after a donation of the given type for a donor of the given sex
+export const getMinimumInterval = (rules, sex, donationType = 'whole_blood') => {
+  const matching = (rules.intervals || []).filter(rule => rule.donationType === donationType);
+  const rule = matching.find(r => r.sex === sex) || matching.find(r => r.sex === 'any');
+
+  if (rule) return rule.minDays;
+
+  const fallback = DEFAULT_ELIGIBILITY_RULES.intervals.find(
+    r => r.sex === 'any' && r.donationType === donationType
+  );
+  return fallback ? fallback.minDays : 90;
+};
+
+// Default end date for a new deferral of the given category
+export const getDefaultDeferralEnd = (category, from = new Date(), rules = cachedRules) => {
+  const entry = (rules.deferralDefaults || []).find(d => d.category === category);
+  if (!entry || !entry.days) return null;
+  return new Date(from.getTime() + entry.days * DAY_MS);
+};
+
+// Latest donation per type; records not yet synced from the ledger only have the single latest donation
+const latestDonationsByType = (donor) => {
+  const byType = donor.lastDonationByType || {};
+  const entries = DONATION_TYPES.filter(type => byType[type]).map(type => [type, new Date(byType[type])]);
+  if (entries.length === 0 && donor.lastDonation) {
+    return [[donor.lastDonationType || 'whole_blood', new Date(donor.lastDonation)]];
+  }
+  return entries;
+};
+
+/**
+ * When the minimum donation interval ends. Each type's latest donation is checked against that
+ * type's own interval, so a later platelet donation can't shorten the wait after whole blood.
+ * Returns { until, minDays, donationType } for the interval ending last, or null without donations.
+ */
+export const donationIntervalEnd = (donor, rules = cachedRules) => {
+  let latest = null;
+  for (const [donationType, donatedAt] of latestDonationsByType(donor)) {
+    const minDays = getMinimumInterval(rules, donor.sex, donationType);
+    const until = new Date(donatedAt.getTime() + minDays * DAY_MS);
+    if (!latest || until > latest.until) latest = { until, minDays, donationType };
+  }
+  return latest;
+};
+
+export const isDeferralActive = (deferral, date = new Date()) => {
+  if (!deferral || deferral.liftedAt) return false;
+  if (deferral.permanent) return true;
+  return Boolean(deferral.until) && new Date(deferral.until) > date;
+};
+
+/**
+ * Evaluate whether a donor can donate on `date`.
+ * Returns { eligible, reasons: [{ code, message, until? }], nextEligibleDate, daysUntilEligible }.
+ * nextEligibleDate and daysUntilEligible are null when a reason has no known end.
+ */
+export const evaluateEligibility = (donor, { date = new Date(), rules = cachedRules } = {}) => {
+  const reasons = [];
+
+  if (donor.age != null) {
+    if (donor.age < rules.minAge) {
+      reasons.push({
+        code: 'age_below_minimum',
+        message: `Donor must be at least ${rules.minAge} years old`
+      });
+    }
+    if (donor.age > rules.maxAge) {
+      reasons.push({
+        code: 'age_above_maximum',
+        message: `Donor must be at most ${rules.maxAge} years old`
+      });
+    }
+  }
+
+  if (donor.weightKg != null && donor.weightKg < rules.minWeightKg) {
+    reasons.push({
+      code: 'weight_below_minimum',
+      message: `Donor must weigh at least ${rules.minWeightKg} kg`
+    });
+  }
+
+  const interval = donationIntervalEnd(donor, rules);
+  if (interval && interval.until > date) {
+    reasons.push({
+      code: 'donation_interval',
+      message: `Minimum interval of ${interval.minDays} days since the last ${interval.donationType.replace(/_/g, ' ')} donation has not passed`,
+      until: interval.until
+    });
+  }
+
+  for (const deferral of donor.deferrals || []) {
+    if (!isDeferralActive(deferral, date)) continue;
+
+    if (deferral.permanent) {
+      reasons.push({
+        code: 'permanent_deferral',
+        message: `Permanently deferred (${deferral.category})`,
+        category: deferral.category
+      });
+    } else {
+      reasons.push({
+        code: 'temporary_deferral',
+        message: `Deferred (${deferral.category}) until ${new Date(deferral.until).toDateString()}`,
+        category: deferral.category,
+        until: new Date(deferral.until)
+      });
+    }
+  }
+
+  if (reasons.length === 0) {
+    return { eligible: true, reasons, nextEligibleDate: null, daysUntilEligible: 0 };
+  }
+
+  const openEnded = reasons.some(reason => !reason.until);
+  const nextEligibleDate = openEnded
+    ? null
+    : new Date(Math.max(...reasons.map(reason => reason.until.getTime())));
+
+  return {
+    eligible: false,
+    reasons,
+    nextEligibleDate,
+    daysUntilEligible: nextEligibleDate ? Math.ceil((nextEligibleDate - date) / DAY_MS) : null
+  };
+};
+
+// One-line summary of the reasons, for error messages
+export const describeIneligibility = (eligibility) =>
+  eligibility.reasons.map(reason => reason.message).join('; ');
@@ -1,5 +1,6 @@
 import { createTransport } from 'nodemailer';
 import dotenv from 'dotenv';
+import { escapeHtml } from './html.js';
 
 dotenv.config();
 
@@ -26,7 +27,7 @@ export const sendOTPEmail = async (email, otp, name = '') => {
           </div>
           <div style="padding: 20px; background: #f9f9f9;">
             <h2 style="color: #333;">Email Verification</h2>
-            <p>Hello ${name},</p>
+            <p>Hello ${escapeHtml(name)},</p>
             <p>Thank you for your interest in joining the MMMUT NSS Blood Donation Camp platform.</p>
             <p>Your verification code is:</p>
             <div style="background: white; padding: 20px; text-align: center; margin: 20px 0; border-radius: 5px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
@@ -62,7 +63,7 @@ export const sendAdminApprovalEmail = async (email, name, approved = true, reaso
     } else {
       message = `We regret to inform you that your admin access request has been rejected.`;
       if (reason) {
-        message += `\n\nReason: ${reason}`;
+        message += `\n\nReason: ${escapeHtml(reason)}`;
       }
     }
     
@@ -77,7 +78,7 @@ export const sendAdminApprovalEmail = async (email, name, approved = true, reaso
           </div>
           <div style="padding: 20px; background: #f9f9f9;">
             <h2 style="color: #333;">${subject}</h2>
-            <p>Hello ${name},</p>
+            <p>Hello ${escapeHtml(name)},</p>
             <p style="white-space: pre-line;">${message}</p>
             ${approved ? '<p>You can now login at: <a href="' + process.env.FRONTEND_URL + '/login">Login Here</a></p>' : ''}
             <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
@@ -96,4 +97,305 @@ export const sendAdminApprovalEmail = async (email, name, approved = true, reaso
     console.error('Email sending error:', error);
     return false;
   }
-};
\ No newline at end of file
+};
+
+export const sendAdminRequestInfoEmail = async (email, name, question) => {
+  try {
+    const mailOptions = {
+      from: `"MMMUT NSS Blood Donation Camp" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'More Information Needed for Your Admin Request - MMMUT NSS Blood Donation Camp',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">MMMUT NSS Blood Donation Camp</h1>
+          </div>
+          <div style="padding: 20px; background: #f9f9f9;">
+            <h2 style="color: #333;">More Information Needed</h2>
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>The reviewers need more information before they can decide on your admin access request:</p>
+            <p style="white-space: pre-line; background: white; padding: 15px; border-radius: 5px;">${escapeHtml(question)}</p>
+            <p>To answer, open the admin request page, verify your email again and submit your updated details.</p>
+            <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+            <p style="color: #666; font-size: 12px;">
+              This is an automated message from MMMUT NSS Blood Donation Camp.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Admin request info email sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return false;
+  }
+};
+
+export const sendBloodRequestAlertEmail = async (email, name, request, acceptUrl, declineUrl) => {
+  try {
+    const neededBy = new Date(request.neededBy).toLocaleString('en-IN');
+    // Request details come from the requester, so none of them may carry markup
+    const hospital = escapeHtml(request.hospital.name) + (request.hospital.address ? ', ' + escapeHtml(request.hospital.address) : '');
+    const mailOptions = {
+      from: `"MMMUT NSS Blood Donation Camp" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `${request.urgency === 'critical' ? 'URGENT: ' : ''}${request.patientBloodGroup} blood needed - MMMUT NSS Blood Donation Camp`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">MMMUT NSS Blood Donation Camp</h1>
+          </div>
+          <div style="padding: 20px; background: #f9f9f9;">
+            <h2 style="color: #333;">Blood Donation Request</h2>
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>A patient needs <strong>${escapeHtml(request.patientBloodGroup)}</strong> blood and you are a compatible, eligible donor.</p>
+            <ul>
+              <li>Units needed: ${escapeHtml(request.unitsNeeded)}</li>
+              <li>Hospital: ${hospital}</li>
+              <li>Needed by: ${escapeHtml(neededBy)}</li>
+              <li>Urgency: ${escapeHtml(request.urgency)}</li>
+            </ul>
+            <p>Can you donate?</p>
+            <p>
+              <a href="${escapeHtml(acceptUrl)}" style="background: #28a745; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; margin-right: 10px;">Yes, I can donate</a>
+              <a href="${escapeHtml(declineUrl)}" style="background: #dc3545; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">I can't this time</a>
+            </p>
+            <p>If you accept, the NSS team will share your contact with the patient's attendant.</p>
+            <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+            <p style="color: #666; font-size: 12px;">
+              This is an automated message from MMMUT NSS Blood Donation Camp.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Blood request alert sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return false;
+  }
+};
+
+export const sendWaitlistPromotionEmail = async (email, name, camp, slot, qrCode = null) => {
+  try {
+    const campDate = new Date(camp.date).toDateString();
+    const mailOptions = {
+      from: `"MMMUT NSS Blood Donation Camp" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your camp slot is confirmed - MMMUT NSS Blood Donation Camp',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">MMMUT NSS Blood Donation Camp</h1>
+          </div>
+          <div style="padding: 20px; background: #f9f9f9;">
+            <h2 style="color: #333;">You're off the waitlist!</h2>
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>A place opened up and your booking for <strong>${escapeHtml(camp.name)}</strong> is now confirmed.</p>
+            <ul>
+              <li>Date: ${campDate}</li>
+              <li>Time: ${escapeHtml(slot.startTime)} - ${escapeHtml(slot.endTime)}</li>
+              <li>Venue: ${escapeHtml(camp.venue.name)}${camp.venue.address ? ', ' + escapeHtml(camp.venue.address) : ''}</li>
+            </ul>
+            ${qrCode ? `
+            <p>Show this QR code at the check-in desk:</p>
+            <div style="text-align: center; margin: 20px 0;">
+              <img src="cid:checkin-pass" alt="Check-in QR code" width="240" height="240">
+            </div>` : ''}
+            <p>If you can no longer make it, please cancel your booking so the next person can take your place.</p>
+            <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+            <p style="color: #666; font-size: 12px;">
+              This is an automated message from MMMUT NSS Blood Donation Camp.
+            </p>
+          </div>
+        </div>
+      `,
+      attachments: qrCode ? [{ filename: 'checkin-pass.png', path: qrCode, cid: 'checkin-pass' }] : []
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Waitlist promotion email sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return false;
+  }
+};
+
+export const sendCheckInPassEmail = async (email, name, camp, slot, qrCode) => {
+  try {
+    const campDate = new Date(camp.date).toDateString();
+    const mailOptions = {
+      from: `"MMMUT NSS Blood Donation Camp" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your check-in pass - MMMUT NSS Blood Donation Camp',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">MMMUT NSS Blood Donation Camp</h1>
+          </div>
+          <div style="padding: 20px; background: #f9f9f9;">
+            <h2 style="color: #333;">Your booking is confirmed</h2>
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>Thank you for booking a place at <strong>${escapeHtml(camp.name)}</strong>.</p>
+            <ul>
+              <li>Date: ${campDate}</li>
+              ${slot ? `<li>Time: ${escapeHtml(slot.startTime)} - ${escapeHtml(slot.endTime)}</li>` : ''}
+              <li>Venue: ${escapeHtml(camp.venue.name)}${camp.venue.address ? ', ' + escapeHtml(camp.venue.address) : ''}</li>
+            </ul>
+            <p>Show this QR code at the check-in desk:</p>
+            <div style="text-align: center; margin: 20px 0;">
+              <img src="cid:checkin-pass" alt="Check-in QR code" width="240" height="240">
+            </div>
+            <p>If you can no longer make it, please cancel your booking so the next person can take your place.</p>
+            <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+            <p style="color: #666; font-size: 12px;">
+              This is an automated message from MMMUT NSS Blood Donation Camp.
+            </p>
+          </div>
+        </div>
+      `,
+      attachments: [{ filename: 'checkin-pass.png', path: qrCode, cid: 'checkin-pass' }]
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Check-in pass email sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return false;
+  }
+};
+
+export const sendEligibilityReminderEmail = async (email, name, camps, unsubscribeUrl) => {
+  try {
+    const campList = camps.length > 0
+      ? `
+            <p>Upcoming camps:</p>
+            <ul>
+              ${camps.map(camp => `<li>${escapeHtml(camp.name)} - ${new Date(camp.date).toDateString()}, ${escapeHtml(camp.venue.name)}</li>`).join('')}
+            </ul>`
+      : '<p>We will let you know when the next camp is announced.</p>';
+
+    const mailOptions = {
+      from: `"MMMUT NSS Blood Donation Camp" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'You can donate blood again - MMMUT NSS Blood Donation Camp',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">MMMUT NSS Blood Donation Camp</h1>
+          </div>
+          <div style="padding: 20px; background: #f9f9f9;">
+            <h2 style="color: #333;">You can donate again!</h2>
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>Thank you for your last donation. Enough time has passed and you are now eligible to donate blood again.</p>
+            ${campList}
+            <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+            <p style="color: #666; font-size: 12px;">
+              This is an automated message from MMMUT NSS Blood Donation Camp.
+              <a href="${escapeHtml(unsubscribeUrl)}">Stop these reminders</a>.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Eligibility reminder email sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return false;
+  }
+};
+
+export const sendPasswordResetEmail = async (email, name, resetUrl, { newAccount = false, expiresInMinutes = 30 } = {}) => {
+  try {
+    const validFor = expiresInMinutes >= 60 ? `${expiresInMinutes / 60} hours` : `${expiresInMinutes} minutes`;
+    const mailOptions = {
+      from: `"MMMUT NSS Blood Donation Camp" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: newAccount
+        ? 'Set up your admin account - MMMUT NSS Blood Donation Camp'
+        : 'Reset your password - MMMUT NSS Blood Donation Camp',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">MMMUT NSS Blood Donation Camp</h1>
+          </div>
+          <div style="padding: 20px; background: #f9f9f9;">
+            <h2 style="color: #333;">${newAccount ? 'Welcome to the admin team' : 'Password reset'}</h2>
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>${newAccount
+              ? 'An admin account has been created for you. Please choose your password to get started.'
+              : 'We received a request to reset your password. If this was you, click the button below.'}</p>
+            <p style="text-align: center; margin: 30px 0;">
+              <a href="${escapeHtml(resetUrl)}" style="background: #667eea; color: white; padding: 12px 24px; border-radius: 4px; text-decoration: none;">
+                ${newAccount ? 'Set password' : 'Reset password'}
+              </a>
+            </p>
+            <p>This link can be used once and expires in ${validFor}.</p>
+            ${newAccount ? '' : '<p>If you did not request a password reset, you can ignore this email.</p>'}
+            <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+            <p style="color: #666; font-size: 12px;">
+              This is an automated message from MMMUT NSS Blood Donation Camp.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Password reset email sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return false;
+  }
+};
+
+export const sendNewDeviceLoginEmail = async (email, name, { device, ip, at }) => {
+  try {
+    const mailOptions = {
+      from: `"MMMUT NSS Blood Donation Camp" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'New sign-in to your admin account - MMMUT NSS Blood Donation Camp',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">MMMUT NSS Blood Donation Camp</h1>
+          </div>
+          <div style="padding: 20px; background: #f9f9f9;">
+            <h2 style="color: #333;">New sign-in detected</h2>
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>Your admin account was just used to sign in from a device we haven't seen before:</p>
+            <div style="background: white; padding: 15px; border-radius: 4px; margin: 20px 0;">
+              <p style="margin: 5px 0;"><strong>Device:</strong> ${escapeHtml(device)}</p>
+              <p style="margin: 5px 0;"><strong>IP address:</strong> ${escapeHtml(ip || 'Unknown')}</p>
+              <p style="margin: 5px 0;"><strong>Time:</strong> ${new Date(at).toLocaleString('en-IN')}</p>
+            </div>
+            <p>If this was you, no action is needed. If not, change your password right away and log out all other sessions.</p>
+            <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
+            <p style="color: #666; font-size: 12px;">
+              This is an automated message from MMMUT NSS Blood Donation Camp.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`New device login email sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('Email sending error:', error);
+    return false;
+  }
+};
@@ -0,0 +1,140 @@
+import { Partner } from '../models/Partner.js';
+import { Handover } from '../models/Handover.js';
+import { BloodUnit } from '../models/BloodUnit.js';
+import { Donation } from '../models/Donation.js';
+import { createPdfDocument, createTable, drawHeading } from './pdf.js';
+
+const MAX_HANDOVER_ITEMS = 200;
+
+const badRequest = (message, extra = {}) => Object.assign(new Error(message), { status: 400, ...extra });
+
+/**
+ * Hand units and/or donations over to a partner. Units must be available, unexpired and of a
+ * blood group the partner accepts; they are marked as issued. Throws errors with a `status`.
+ */
+export const recordHandover = async ({ partnerId, unitIds = [], donationIds = [], receivedBy, notes, campId, adminId }) => {
+  if (!Array.isArray(unitIds) || !Array.isArray(donationIds)) {
+    throw badRequest('Units and donations must be lists');
+  }
+  if (unitIds.length + donationIds.length === 0 || unitIds.length + donationIds.length > MAX_HANDOVER_ITEMS) {
+    throw badRequest(`Select between 1 and ${MAX_HANDOVER_ITEMS} units or donations to hand over`);
+  }
+
+  const partner = await Partner.findOne({ _id: partnerId, isActive: true });
+  if (!partner) {
+    throw Object.assign(new Error('Partner not found'), { status: 404 });
+  }
+
+  const units = await BloodUnit.find({ _id: { $in: unitIds } });
+  const unavailable = unitIds.filter(id => {
+    const unit = units.find(entry => entry._id.equals(id));
+    return !unit || unit.status !== 'available' || unit.isExpired;
+  });
+  if (unavailable.length > 0) {
+    throw badRequest('Some units are not available for handover', { unavailable });
+  }
+
+  const donations = await Donation.find({ _id: { $in: donationIds }, isVoid: false, outcome: 'donated' })
+    .populate('donor', 'bloodGroup');
+  const alreadyHandedOver = await Handover.find({ donations: { $in: donationIds } }).distinct('donations');
+  const invalidDonations = donationIds.filter(id =>
+    !donations.some(donation => donation._id.equals(id)) || alreadyHandedOver.some(handed => handed.equals(id))
+  );
+  if (invalidDonations.length > 0) {
+    throw badRequest('Some donations were not found or were already handed over', { invalidDonations });
+  }
+
+  const bloodGroups = [...units.map(unit => unit.bloodGroup), ...donations.map(donation => donation.donor?.bloodGroup)];
+  const rejectedGroups = [...new Set(bloodGroups.filter(group => group && !partner.acceptsBloodGroup(group)))];
+  if (rejectedGroups.length > 0) {
+    throw badRequest(`${partner.name} does not accept blood group ${rejectedGroups.join(', ')}`);
+  }
+
+  const handover = new Handover({
+    partner: partner._id,
+    camp: campId,
+    units: units.map(unit => unit._id),
+    donations: donations.map(donation => donation._id),
+    handedOverBy: adminId,
+    receivedBy,
+    notes
+  });
+  await handover.validate();
+
+  for (const unit of units) {
+    unit.transitionTo('issued', adminId, `Handover to ${partner.name}`);
+    unit.issuedTo = { partner: partner._id, name: partner.name, contact: partner.contacts[0]?.phone };
+    unit.issuedAt = handover.handedOverAt;
+    unit.handover = handover._id;
+    await unit.save();
+  }
+
+  await handover.save();
+  return handover;
+};
+
+// Stream a printable handover sheet with a signature block
+export const streamHandoverSheet = async (handover, res) => {
+  await handover.populate([
+    { path: 'partner' },
+    { path: 'camp', select: 'name date' },
+    { path: 'handedOverBy', select: 'name' },
+    { path: 'units' },
+    { path: 'donations', populate: { path: 'donor', select: 'name bloodGroup' } }
+  ]);
+
+  const { partner } = handover;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="handover-${handover._id}.pdf"`);
+
+  const doc = createPdfDocument();
+  doc.pipe(res);
+  drawHeading(doc, 'Blood Handover Sheet', `Reference ${handover._id}`);
+
+  doc.font('Helvetica').fontSize(10);
+  doc.text(`Date: ${new Date(handover.handedOverAt).toLocaleString('en-IN')}`);
+  doc.text(`Partner: ${partner.name}${partner.licenseNumber ? ` (License ${partner.licenseNumber})` : ''}`);
+  if (partner.fullAddress) doc.text(`Address: ${partner.fullAddress}`);
+  if (handover.camp) doc.text(`Camp: ${handover.camp.name} (${new Date(handover.camp.date).toDateString()})`);
+  if (handover.notes) doc.text(`Notes: ${handover.notes}`);
+  doc.moveDown();
+
+  if (handover.units.length > 0) {
+    const table = createTable(doc, ['Unit number', 'Blood group', 'Component', 'Collected', 'Expires']);
+    handover.units.forEach(unit => {
+      table.addRow([
+        unit.unitNumber,
+        unit.bloodGroup,
+        unit.component.replace(/_/g, ' '),
+        new Date(unit.collectedAt).toLocaleDateString('en-IN'),
+        new Date(unit.expiresAt).toLocaleDateString('en-IN')
+      ]);
+    });
+    doc.moveDown();
+  }
+
+  if (handover.donations.length > 0) {
+    const table = createTable(doc, ['Bag number', 'Donor', 'Blood group', 'Type', 'Donated']);
+    handover.donations.forEach(donation => {
+      table.addRow([
+        donation.bagNumber,
+        donation.donor?.name,
+        donation.donor?.bloodGroup,
+        donation.donationType.replace(/_/g, ' '),
+        new Date(donation.donatedAt).toLocaleDateString('en-IN')
+      ]);
+    });
+    doc.moveDown();
+  }
+
+  doc.font('Helvetica').fontSize(10);
+  doc.text(`Total: ${handover.units.length + handover.donations.length}`);
+  doc.moveDown(2);
+  doc.text(`Handed over by: ${handover.handedOverBy?.name || ''}`);
+  doc.text('Signature: ______________________');
+  doc.moveDown();
+  doc.text(`Received by: ${handover.receivedBy.name}${handover.receivedBy.designation ? `, ${handover.receivedBy.designation}` : ''}`);
+  doc.text('Signature: ______________________');
+  doc.end();
+};
@@ -0,0 +1,3 @@
+// Helpers for building HTML pages and emails from untrusted values
+
+export const escapeHtml = (value = '') => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
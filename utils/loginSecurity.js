@@ -0,0 +1,161 @@
+import { AuditLog } from '../models/AuditLog.js';
+import { User } from '../models/User.js';
+import { LoginHistory } from '../models/LoginHistory.js';
+import { sendNewDeviceLoginEmail } from './emailService.js';
+import { describeDevice } from './session.js';
+
+export const LOGIN_SECURITY = {
+  // Failed attempts allowed before delays start
+  freeAttempts: 3,
+  // Delay after the first counted failure; doubles with each further failure
+  baseDelayMs: 5 * 1000,
+  maxDelayMs: 5 * 60 * 1000,
+  lockoutAttempts: 10,
+  lockoutMs: 30 * 60 * 1000
+};
+
+// Milliseconds until the account may try to log in again (0 when it may try now)
+export const loginWaitMs = (account, now = Date.now()) => {
+  const security = account.loginSecurity || {};
+  if (security.lockedUntil > now) return security.lockedUntil.getTime() - now;
+
+  const failures = security.failedAttempts || 0;
+  if (failures < LOGIN_SECURITY.freeAttempts || !security.lastFailedAt) return 0;
+
+  const delay = Math.min(
+    LOGIN_SECURITY.baseDelayMs * 2 ** (failures - LOGIN_SECURITY.freeAttempts),
+    LOGIN_SECURITY.maxDelayMs
+  );
+  return Math.max(0, security.lastFailedAt.getTime() + delay - now);
+};
+
+export const loginWaitMessage = (waitMs) =>
+  waitMs > 60 * 1000
+    ? `Too many failed login attempts. Please try again in ${Math.ceil(waitMs / 60000)} minute(s).`
+    : `Too many failed login attempts. Please wait ${Math.ceil(waitMs / 1000)} seconds before trying again.`;
+
+const requestDetails = (req) => {
+  const userAgent = req.get('user-agent') || '';
+  return { ip: req.ip, userAgent, device: describeDevice(userAgent) };
+};
+
+// Record a failed or blocked attempt in the login history (account may be missing for unknown emails)
+export const recordLoginFailure = (req, { account, email, reason, method = 'password' }) =>
+  LoginHistory.create({
+    account: account?._id,
+    email: account?.email || (email ? String(email) : undefined),
+    success: false,
+    failureReason: reason,
+    method,
+    ...requestDetails(req)
+  });
+
+/**
+ * Claim a login attempt before checking the password or code. Like OTP attempts, the attempt is
+ * counted as a failure up front with a conditional update on the counters that were read, so
+ * parallel attempts each see the ones before them and the progressive delay holds.
+ * Returns { account } with the updated counters, or { waitMs } when the account must wait.
+ */
+export const claimLoginAttempt = async (account) => {
+  let current = account;
+
+  for (let tries = 0; tries < 5 && current; tries++) {
+    const waitMs = loginWaitMs(current);
+    if (waitMs > 0) return { waitMs };
+
+    const security = current.loginSecurity || {};
+    const now = new Date();
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: account._id,
+        'loginSecurity.failedAttempts': security.failedAttempts || { $in: [0, null] },
+        'loginSecurity.lastFailedAt': security.lastFailedAt || null,
+        $or: [{ 'loginSecurity.lockedUntil': null }, { 'loginSecurity.lockedUntil': { $lte: now } }]
+      },
+      { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } },
+      { new: true }
+    );
+    if (claimed) return { account: claimed };
+
+    // Another attempt changed the counters first; look again
+    current = await User.findById(account._id).select('loginSecurity');
+  }
+
+  return { waitMs: LOGIN_SECURITY.baseDelayMs };
+};
+
+/**
+ * Give back an attempt claimed for a correct password when the login continues with a second factor.
+ */
+export const releaseLoginAttempt = (claimed) =>
+  User.updateOne(
+    { _id: claimed._id, 'loginSecurity.failedAttempts': { $gt: 0 } },
+    { $inc: { 'loginSecurity.failedAttempts': -1 } }
+  );
+
+/**
+ * Record a wrong password or code for an attempt claimed with claimLoginAttempt, and lock the
+ * account once the limit is reached. Returns the lock expiry when this attempt locked the account,
+ * otherwise null.
+ */
+export const recordFailedLogin = async (req, claimed, { reason = 'invalid_password', method = 'password' } = {}) => {
+  await recordLoginFailure(req, { account: claimed, reason, method });
+
+  if (claimed.loginSecurity.failedAttempts < LOGIN_SECURITY.lockoutAttempts) return null;
+
+  // Counting starts again once the lock expires; only one of several parallel attempts locks
+  const lockedUntil = new Date(Date.now() + LOGIN_SECURITY.lockoutMs);
+  const locked = await User.updateOne(
+    { _id: claimed._id, 'loginSecurity.failedAttempts': { $gte: LOGIN_SECURITY.lockoutAttempts } },
+    { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockedUntil': lockedUntil }
+  );
+  if (locked.modifiedCount === 0) return null;
+
+  await AuditLog.record(req, 'account_locked', {
+    account: claimed._id,
+    email: claimed.email,
+    lockedUntil
+  });
+  return lockedUntil;
+};
+
+/**
+ * Clear the failure counters and add a successful entry to the login history.
+ * Admins are emailed when the login comes from a browser the account has not used before.
+ */
+export const recordSuccessfulLogin = async (req, account, method = 'password') => {
+  const details = requestDetails(req);
+
+  // The login attempt was counted as a failure when it was claimed
+  await User.updateOne(
+    { _id: account._id },
+    { $set: { 'loginSecurity.failedAttempts': 0 }, $unset: { 'loginSecurity.lockedUntil': 1, 'loginSecurity.lastFailedAt': 1 } }
+  );
+
+  // The very first login is not reported as new
+  const previous = { account: account._id, success: true };
+  const hasHistory = await LoginHistory.exists(previous);
+  const newDevice = Boolean(hasHistory) && !(await LoginHistory.exists({ ...previous, userAgent: details.userAgent }));
+  const newIp = Boolean(hasHistory) && !(await LoginHistory.exists({ ...previous, ip: details.ip }));
+
+  const entry = await LoginHistory.create({
+    account: account._id,
+    email: account.email,
+    success: true,
+    method,
+    newDevice,
+    newIp,
+    ...details
+  });
+
+  if (newDevice && account.isAdmin) {
+    // Not awaited so the alert doesn't slow the login down; failures are logged by the mailer
+    sendNewDeviceLoginEmail(account.email, account.name, {
+      device: details.device,
+      ip: details.ip,
+      at: entry.createdAt
+    });
+  }
+
+  return entry;
+};
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import { AuditLog } from '../models/AuditLog.js';
+
+// Email OTPs shared by User (verification / login) and AdminRequest (email verification)
+export const OTP_SETTINGS = {
+  ttlMs: 5 * 60 * 1000,
+  maxAttempts: 5,
+  lockoutMs: 15 * 60 * 1000,
+  resendCooldownMs: 60 * 1000,
+  maxSendsPerHour: 5
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const tooMany = (message) => Object.assign(new Error(message), { status: 429 });
+
+const minutesUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 60000));
+
+// Codes are bound to the document so a leaked hash can't be checked against another account
+const hashOtp = (doc, code) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET || '').update(`${doc._id}:${code}`).digest('hex');
+
+// Mongoose plugin adding the `otp` state to a schema
+export const otpPlugin = (schema) => {
+  schema.add({
+    otp: {
+      codeHash: String,
+      expiresAt: Date,
+      attempts: Number,
+      sentAt: Date,
+      // Codes sent in the current one-hour window
+      sendCount: Number,
+      sendWindowStart: Date,
+      lockedUntil: Date
+    }
+  });
+};
+
+/**
+ * Generate a new code for the document and return it (the caller emails it and saves the document).
+ * Throws a 429 error while the document is locked, inside the resend cooldown or over the hourly limit.
+ */
+export const issueOtp = async (doc) => {
+  const now = new Date();
+  const current = doc.otp || {};
+
+  if (current.lockedUntil > now) {
+    throw tooMany(`Too many incorrect codes. Please try again in ${minutesUntil(current.lockedUntil)} minute(s).`);
+  }
+
+  if (current.sentAt && now - current.sentAt < OTP_SETTINGS.resendCooldownMs) {
+    const seconds = Math.ceil((OTP_SETTINGS.resendCooldownMs - (now - current.sentAt)) / 1000);
+    throw tooMany(`Please wait ${seconds} seconds before requesting another code.`);
+  }
+
+  const windowOpen = current.sendWindowStart && now - current.sendWindowStart < HOUR_MS;
+  const sendCount = windowOpen ? (current.sendCount || 0) + 1 : 1;
+  if (sendCount > OTP_SETTINGS.maxSendsPerHour) {
+    throw tooMany('Too many codes requested. Please try again later.');
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const otp = {
+    codeHash: hashOtp(doc, code),
+    expiresAt: new Date(now.getTime() + OTP_SETTINGS.ttlMs),
+    attempts: 0,
+    sentAt: now,
+    sendCount,
+    sendWindowStart: windowOpen ? current.sendWindowStart : now
+  };
+
+  // Claim the send against the state read above so parallel requests can't skip the cooldown
+  if (!doc.isNew) {
+    const claimed = await doc.constructor.updateOne(
+      { _id: doc._id, 'otp.sentAt': current.sentAt ?? null },
+      { otp }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw tooMany('Please wait before requesting another code.');
+    }
+  }
+
+  doc.otp = otp;
+  return code;
+};
+
+/**
+ * Check a code. Each attempt is counted before comparing, so parallel guesses share the limit;
+ * the last allowed wrong guess locks the document and is written to the audit log.
+ * Returns the updated document; throws a 400 or 429 error when the code is not accepted.
+ */
+export const verifyOtp = async (req, doc, candidate, purpose) => {
+  const Model = doc.constructor;
+  const now = new Date();
+
+  const claimed = await Model.findOneAndUpdate(
+    {
+      _id: doc._id,
+      'otp.codeHash': { $ne: null },
+      'otp.expiresAt': { $gt: now },
+      'otp.attempts': { $lt: OTP_SETTINGS.maxAttempts },
+      $or: [{ 'otp.lockedUntil': null }, { 'otp.lockedUntil': { $lte: now } }]
+    },
+    { $inc: { 'otp.attempts': 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    if (doc.otp?.lockedUntil > now) {
+      throw tooMany(`Too many incorrect codes. Please try again in ${minutesUntil(doc.otp.lockedUntil)} minute(s).`);
+    }
+    throw Object.assign(new Error('Invalid or expired OTP'), { status: 400 });
+  }
+
+  const expected = Buffer.from(claimed.otp.codeHash);
+  const actual = Buffer.from(hashOtp(doc, String(candidate || '').trim()));
+  if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+    return claimed;
+  }
+
+  if (claimed.otp.attempts >= OTP_SETTINGS.maxAttempts) {
+    const lockedUntil = new Date(now.getTime() + OTP_SETTINGS.lockoutMs);
+    await Model.updateOne(
+      { _id: doc._id },
+      { 'otp.lockedUntil': lockedUntil, $unset: { 'otp.codeHash': 1, 'otp.expiresAt': 1 } }
+    );
+    await AuditLog.record(req, 'otp_locked', { email: doc.email, purpose, lockedUntil });
+    throw tooMany(`Too many incorrect codes. Please try again in ${minutesUntil(lockedUntil)} minute(s).`);
+  }
+
+  const remaining = OTP_SETTINGS.maxAttempts - claimed.otp.attempts;
+  throw Object.assign(new Error(`Invalid OTP. ${remaining} attempt(s) left.`), { status: 400 });
+};
+
+// Drop the used code but keep the send history for the resend limits
+export const clearOtp = (doc) => {
+  doc.set('otp.codeHash', undefined);
+  doc.set('otp.expiresAt', undefined);
+  doc.set('otp.attempts', undefined);
+};
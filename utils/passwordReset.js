@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { User } from '../models/User.js';
+import { sendPasswordResetEmail } from './emailService.js';
+import { frontendUrl } from './urls.js';
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+// Password the first super admin, and admins promoted by older versions, were created with
+export const DEFAULT_ADMIN_PASSWORD = 'admin123';
+
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+// New admin accounts get longer to pick their first password
+const SETUP_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const RESET_REQUEST_COOLDOWN_MS = 60 * 1000;
+
+const hashResetToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Store a new hashed reset token on the account and email the link.
+ * The link tells the frontend whether to show the admin or the student reset page.
+ */
+export const sendPasswordResetLink = async (account, { newAccount = false } = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttl = newAccount ? SETUP_TOKEN_TTL_MS : RESET_TOKEN_TTL_MS;
+
+  account.passwordReset = {
+    tokenHash: hashResetToken(token),
+    expiresAt: new Date(Date.now() + ttl),
+    requestedAt: new Date()
+  };
+  await account.save();
+
+  const resetUrl = frontendUrl(`/reset-password?account=${account.isAdmin ? 'admin' : 'user'}&token=${token}`);
+  return sendPasswordResetEmail(account.email, account.name, resetUrl, {
+    newAccount,
+    expiresInMinutes: ttl / 60000
+  });
+};
+
+// Email a reset link if the account exists; callers always report success so emails can't be probed
+export const requestPasswordReset = async (email) => {
+  const account = await User.findOne({ email: String(email || '').toLowerCase().trim() });
+  if (!account) return;
+
+  const requestedAt = account.passwordReset?.requestedAt;
+  if (requestedAt && Date.now() - requestedAt.getTime() < RESET_REQUEST_COOLDOWN_MS) return;
+
+  await sendPasswordResetLink(account);
+};
+
+/**
+ * Set a new password using a reset token. The token is removed before the password is changed
+ * so it can only be used once. Throws errors with a `status`.
+ */
+export const resetPasswordWithToken = async (token, password) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw Object.assign(
+      new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`),
+      { status: 400 }
+    );
+  }
+
+  const account = await User.findOneAndUpdate(
+    { 'passwordReset.tokenHash': hashResetToken(String(token || '')), 'passwordReset.expiresAt': { $gt: new Date() } },
+    { $unset: { passwordReset: 1 } },
+    { new: true }
+  );
+
+  if (!account) {
+    throw Object.assign(new Error('Invalid or expired reset link'), { status: 400 });
+  }
+
+  account.password = password;
+  if (account.mustChangePassword) account.mustChangePassword = false;
+  await account.save();
+  return account;
+};
+
+/**
+ * Require a password change from admins still using the default password.
+ * Returns the number of admins flagged.
+ */
+export const flagDefaultPasswordAdmins = async () => {
+  const admins = await User.find({ role: { $ne: null }, mustChangePassword: { $ne: true }, password: { $ne: null } });
+  let flagged = 0;
+
+  for (const admin of admins) {
+    if (!(await admin.comparePassword(DEFAULT_ADMIN_PASSWORD))) continue;
+    await User.updateOne({ _id: admin._id }, { mustChangePassword: true });
+    flagged++;
+  }
+
+  return flagged;
+};
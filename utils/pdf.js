@@ -0,0 +1,54 @@
+import PDFDocument from 'pdfkit';
+
+export const createPdfDocument = (options = {}) =>
+  new PDFDocument({ size: 'A4', margin: 36, ...options });
+
+// Title block used at the top of generated documents
+export const drawHeading = (doc, title, subtitle) => {
+  doc.font('Helvetica-Bold').fontSize(16).text('MMMUT NSS Blood Donation Camp', { align: 'center' });
+  doc.font('Helvetica-Bold').fontSize(13).text(title, { align: 'center' });
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(9).fillColor('#555555').text(subtitle, { align: 'center' }).fillColor('black');
+  }
+  doc.moveDown();
+};
+
+/**
+ * Start a simple grid table at the current position. Rows are added one at a time so
+ * large tables can be streamed; the header is repeated on every new page.
+ */
+export const createTable = (doc, headers, { fontSize = 8 } = {}) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const columnWidth = width / headers.length;
+
+  const drawRow = (values, isHeader = false) => {
+    const cells = values.map(value => (value === null || value === undefined ? '' : String(value)));
+    doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+    const rowHeight = Math.max(...cells.map(cell => doc.heightOfString(cell, { width: columnWidth - 4 }))) + 6;
+
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!isHeader) drawRow(headers, true);
+      doc.font('Helvetica').fontSize(fontSize);
+    }
+
+    const y = doc.y;
+    if (isHeader) {
+      doc.rect(left, y, width, rowHeight).fill('#eeeeee').fillColor('black');
+      doc.font('Helvetica-Bold');
+    }
+    cells.forEach((cell, index) => {
+      doc.text(cell, left + index * columnWidth + 2, y + 3, { width: columnWidth - 4 });
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(headers, true);
+
+  return {
+    addRow: (values) => drawRow(values)
+  };
+};
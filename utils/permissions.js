@@ -0,0 +1,93 @@
+// Named permissions that admin roles are built from
+export const PERMISSIONS = {
+  'donors:read': 'View donors, donation history and reminder logs',
+  'donors:read_medical': 'View medical history, deferral details and screening records',
+  'donors:write': 'Create, edit, import, merge and delete donors and review profile changes',
+  'donors:export': 'Export the donor list',
+  'donors:export_medical': 'Include medical history in donor exports and view the export log',
+  'donations:record': 'Record, correct and void donations',
+  'screening:perform': 'Screen donors and record or lift deferrals',
+  'camps:read': 'View camps, registrations and rosters',
+  'camps:manage': 'Create, edit, open, close and delete camps',
+  'camps:checkin': 'Check donors in at camps and manage the screening queue',
+  'inventory:read': 'View blood units, stock, reports and handovers',
+  'inventory:manage': 'Add and update blood units and hand them over to partners',
+  'partners:read': 'View the partner directory',
+  'partners:manage': 'Add, edit and remove partners',
+  'certificates:manage': 'Issue, download and revoke certificates',
+  'notices:publish': 'Create, edit and delete notices',
+  'forms:manage': 'Create, edit and delete forms',
+  'blood_requests:create': 'Raise blood requests that alert donors without waiting for approval',
+  'blood_requests:manage': 'View all blood requests, approve them, contact more donors and close requests',
+  'eligibility:manage': 'Change the donation eligibility rules',
+  'users:read': 'View user accounts',
+  'admins:manage': 'Create, edit, promote and remove admins and manage their sessions',
+  'admin_requests:review': 'Approve and reject admin requests',
+  'roles:manage': 'Create and edit roles',
+  'security:manage': 'Review login history, unlock accounts and manage two-factor settings'
+};
+
+export const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// The super admin role always has every permission and cannot be edited
+export const SUPER_ADMIN_ROLE = 'main';
+
+// Built-in roles created at startup; 'normal' keeps what regular admins could do before roles existed
+export const SYSTEM_ROLES = [
+  {
+    key: SUPER_ADMIN_ROLE,
+    name: 'Super Admin',
+    description: 'Full access to everything',
+    permissions: PERMISSION_KEYS
+  },
+  {
+    key: 'normal',
+    name: 'Admin',
+    description: 'Runs camps and manages donors',
+    permissions: [
+      'donors:read',
+      'donors:read_medical',
+      'donors:write',
+      'donors:export',
+      'donations:record',
+      'screening:perform',
+      'camps:read',
+      'camps:manage',
+      'camps:checkin',
+      'inventory:read',
+      'inventory:manage',
+      'partners:read',
+      'partners:manage',
+      'certificates:manage',
+      'notices:publish',
+      'forms:manage',
+      'blood_requests:create',
+      'blood_requests:manage'
+    ]
+  }
+];
+
+// Role permissions cache, loaded from the Role collection at startup and after every change
+let cachedRoles = new Map(SYSTEM_ROLES.map(role => [role.key, new Set(role.permissions)]));
+
+export const setRoles = (roles) => {
+  cachedRoles = new Map(roles.map(role => [role.key, new Set(role.permissions)]));
+  cachedRoles.set(SUPER_ADMIN_ROLE, new Set(PERMISSION_KEYS));
+  return cachedRoles;
+};
+
+export const roleExists = (roleKey) => cachedRoles.has(roleKey);
+
+export const getRolePermissions = (roleKey) => cachedRoles.get(roleKey) || new Set();
+
+// Effective permissions of an account (accounts without a role have none)
+export const permissionsFor = (account) => [...getRolePermissions(account.role)];
+
+export const hasPermission = (req, permission) =>
+  Boolean(req.user) && getRolePermissions(req.user.role).has(permission);
+
+// An admin may only hand out roles whose permissions they hold themselves
+export const canAssignRole = (req, roleKey) => {
+  const granted = getRolePermissions(req.user.role);
+  return roleExists(roleKey) && [...getRolePermissions(roleKey)].every(permission => granted.has(permission));
+};
@@ -0,0 +1,140 @@
+import jwt from 'jsonwebtoken';
+import { Donor } from '../models/Donor.js';
+import { Camp } from '../models/Camp.js';
+import { ReminderLog } from '../models/ReminderLog.js';
+import { DEFAULT_ELIGIBILITY_RULES, donationIntervalEnd, getEligibilityRules } from './eligibility.js';
+import { sendEligibilityReminderEmail } from './emailService.js';
+import { backendUrl } from './urls.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const REMINDER_SETTINGS = {
+  // Only remind donors whose interval ended within this many days
+  lookbackDays: 7,
+  // At most this many reminder emails per hour
+  maxPerHour: 50,
+  checkIntervalMs: HOUR_MS
+};
+
+// Audience of unsubscribe tokens, so they can never pass as login tokens or the other way round
+const UNSUBSCRIBE_AUDIENCE = 'reminder_unsubscribe';
+
+// Signed link that turns reminders off without logging in
+export const createUnsubscribeToken = (donor) =>
+  jwt.sign(
+    { type: 'reminder_unsubscribe', did: String(donor._id) },
+    process.env.JWT_SECRET,
+    { audience: UNSUBSCRIBE_AUDIENCE, expiresIn: '365d' }
+  );
+
+export const verifyUnsubscribeToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: UNSUBSCRIBE_AUDIENCE });
+    return payload.type === 'reminder_unsubscribe' ? payload.did : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Open or planned camps coming up, included in the reminder email
+export const findUpcomingCamps = (limit = 3) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return Camp.find({ isActive: true, status: { $in: ['planned', 'open'] }, date: { $gte: today } })
+    .select('name date venue status')
+    .sort({ date: 1 })
+    .limit(limit);
+};
+
+/**
+ * Donors whose minimum donation interval ended within the lookback window, who are now eligible,
+ * available, not opted out and not yet reminded for this window. Oldest windows come first.
+ * Returns [{ donor, eligibleSince }].
+ */
+export const findDueReminders = async (now = new Date()) => {
+  const rules = getEligibilityRules();
+  // Defaults are included because getMinimumInterval falls back to them
+  const intervals = [...rules.intervals, ...DEFAULT_ELIGIBILITY_RULES.intervals].map(rule => rule.minDays);
+  const lookbackMs = REMINDER_SETTINGS.lookbackDays * DAY_MS;
+
+  const donors = await Donor.find({
+    isActive: true,
+    'reminders.optedOut': { $ne: true },
+    lastDonation: {
+      $gte: new Date(now.getTime() - Math.max(...intervals) * DAY_MS - lookbackMs),
+      $lte: new Date(now.getTime() - Math.min(...intervals) * DAY_MS)
+    }
+  });
+
+  // The latest donation bounds the query, but an earlier donation of another type may end later
+  const candidates = donors
+    .map(donor => ({ donor, eligibleSince: donationIntervalEnd(donor, rules).until }))
+    .filter(({ donor, eligibleSince }) =>
+      eligibleSince <= now &&
+      now - eligibleSince <= lookbackMs &&
+      donor.isEligibleForDonation &&
+      donor.isAvailable
+    );
+
+  const sent = await ReminderLog.find({
+    type: 'eligibility_restored',
+    donor: { $in: candidates.map(candidate => candidate.donor._id) }
+  }).select('donor eligibleSince');
+
+  return candidates
+    .filter(({ donor, eligibleSince }) => !sent.some(log =>
+      log.donor.equals(donor._id) && log.eligibleSince.getTime() === eligibleSince.getTime()
+    ))
+    .sort((a, b) => a.eligibleSince - b.eligibleSince);
+};
+
+// How many reminders can still go out this hour
+export const remainingReminderQuota = async (now = new Date()) => {
+  const sentLastHour = await ReminderLog.countDocuments({ sentAt: { $gt: new Date(now.getTime() - HOUR_MS) } });
+  return Math.max(REMINDER_SETTINGS.maxPerHour - sentLastHour, 0);
+};
+
+// Send due reminders within the hourly limit. Returns the number of emails sent.
+export const sendDueReminders = async () => {
+  const now = new Date();
+  const quota = await remainingReminderQuota(now);
+  if (quota === 0) return 0;
+
+  const due = (await findDueReminders(now)).slice(0, quota);
+  if (due.length === 0) return 0;
+
+  const camps = await findUpcomingCamps();
+  let sent = 0;
+
+  for (const { donor, eligibleSince } of due) {
+    // Record the reminder before sending so a restart can never send it twice
+    let log;
+    try {
+      log = await ReminderLog.create({
+        donor: donor._id,
+        type: 'eligibility_restored',
+        eligibleSince,
+        email: donor.email
+      });
+    } catch (error) {
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    const unsubscribeUrl = backendUrl(`/api/donors/reminders/unsubscribe/${createUnsubscribeToken(donor)}`);
+    log.emailSent = await sendEligibilityReminderEmail(donor.email, donor.name, camps, unsubscribeUrl);
+    await log.save();
+    if (log.emailSent) sent++;
+  }
+
+  return sent;
+};
+
+export const startEligibilityReminders = () => {
+  return setInterval(() => {
+    sendDueReminders().catch(error => {
+      console.error('Eligibility reminder error:', error);
+    });
+  }, REMINDER_SETTINGS.checkIntervalMs);
+};
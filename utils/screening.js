@@ -0,0 +1,83 @@
+// Pre-donation screening: vitals limits, the standard health questionnaire and deferral reason codes.
+
+export const SCREENING_OUTCOMES = ['accepted', 'temporarily_deferred', 'permanently_deferred'];
+
+// Acceptable vitals for whole blood donation
+export const VITAL_LIMITS = {
+  hemoglobin: { min: 12.5 }, // g/dL
+  systolic: { min: 100, max: 180 }, // mmHg
+  diastolic: { min: 50, max: 100 }, // mmHg
+  pulse: { min: 50, max: 100 }, // beats per minute
+  temperatureC: { max: 37.5 }
+};
+
+// Reason codes for deferrals and the donor deferral category each one feeds into
+export const SCREENING_REASON_CODES = {
+  low_hemoglobin: 'low_hemoglobin',
+  low_weight: 'other',
+  blood_pressure: 'illness',
+  abnormal_pulse: 'illness',
+  fever: 'illness',
+  illness: 'illness',
+  medication: 'medication',
+  tattoo_or_piercing: 'tattoo',
+  surgery: 'surgery',
+  travel: 'travel',
+  pregnancy: 'other',
+  high_risk_behaviour: 'other',
+  chronic_condition: 'illness',
+  other: 'other'
+};
+
+// Yes/no questions; `deferOn` is the answer that rules out donating today
+export const SCREENING_QUESTIONS = [
+  { key: 'feeling_well', text: 'Are you feeling well today?', deferOn: false, reasonCode: 'illness' },
+  { key: 'ate_recently', text: 'Have you eaten in the last four hours?', deferOn: false, reasonCode: 'other' },
+  { key: 'recent_illness', text: 'Have you had a fever, cold, cough or infection in the last two weeks?', deferOn: true, reasonCode: 'illness' },
+  { key: 'on_medication', text: 'Are you currently taking antibiotics or other medication?', deferOn: true, reasonCode: 'medication' },
+  { key: 'tattoo_or_piercing', text: 'Have you had a tattoo, piercing or acupuncture in the last six months?', deferOn: true, reasonCode: 'tattoo_or_piercing' },
+  { key: 'recent_surgery', text: 'Have you had surgery or a dental extraction in the last six months?', deferOn: true, reasonCode: 'surgery' },
+  { key: 'recent_travel', text: 'Have you travelled to a malaria-endemic area in the last month?', deferOn: true, reasonCode: 'travel' },
+  { key: 'recent_vaccination', text: 'Have you been vaccinated in the last two weeks?', deferOn: true, reasonCode: 'medication' },
+  { key: 'pregnant_or_breastfeeding', text: 'Are you pregnant, breastfeeding or have you given birth in the last year?', deferOn: true, reasonCode: 'pregnancy' },
+  { key: 'alcohol_last_day', text: 'Have you consumed alcohol in the last 24 hours?', deferOn: true, reasonCode: 'other' },
+  { key: 'chronic_condition', text: 'Do you have heart disease, epilepsy, diabetes on insulin, or a bleeding disorder?', deferOn: true, reasonCode: 'chronic_condition' },
+  { key: 'high_risk', text: 'Have you ever tested positive for HIV, hepatitis B or C, or been at risk of these infections?', deferOn: true, reasonCode: 'high_risk_behaviour' }
+];
+
+export const SCREENING_QUESTION_KEYS = SCREENING_QUESTIONS.map(question => question.key);
+
+/**
+ * Check vitals and questionnaire answers against the limits.
+ * Returns a list of findings: [{ field, reasonCode, message }]. An empty list means the donor may be accepted.
+ */
+export const assessScreening = ({ vitals = {}, answers = [] }, { minWeightKg } = {}) => {
+  const findings = [];
+  const outOfRange = (field, reasonCode, label) => {
+    const value = vitals[field];
+    const { min, max } = VITAL_LIMITS[field];
+    if (value == null) return;
+    if ((min != null && value < min) || (max != null && value > max)) {
+      findings.push({ field, reasonCode, message: `${label} of ${value} is outside the acceptable range` });
+    }
+  };
+
+  outOfRange('hemoglobin', 'low_hemoglobin', 'Hemoglobin');
+  outOfRange('systolic', 'blood_pressure', 'Systolic blood pressure');
+  outOfRange('diastolic', 'blood_pressure', 'Diastolic blood pressure');
+  outOfRange('pulse', 'abnormal_pulse', 'Pulse');
+  outOfRange('temperatureC', 'fever', 'Temperature');
+
+  if (minWeightKg != null && vitals.weightKg != null && vitals.weightKg < minWeightKg) {
+    findings.push({ field: 'weightKg', reasonCode: 'low_weight', message: `Weight must be at least ${minWeightKg} kg` });
+  }
+
+  for (const { question, answer } of answers) {
+    const definition = SCREENING_QUESTIONS.find(entry => entry.key === question);
+    if (definition && answer === definition.deferOn) {
+      findings.push({ field: question, reasonCode: definition.reasonCode, message: definition.text });
+    }
+  }
+
+  return findings;
+};
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Session } from '../models/Session.js';
+import { User } from '../models/User.js';
+
+export const ACCESS_TOKEN_TTL = '15m';
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Short description like "Chrome on Windows" for the session list
+export const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser || 'Browser', os && `on ${os}`].filter(Boolean).join(' ');
+};
+
+export const signAccessToken = (session) =>
+  jwt.sign(
+    { id: session.account, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning
+const newRefreshToken = (session) => `${session._id}.${crypto.randomBytes(32).toString('hex')}`;
+
+const tokenResponse = (session, refreshToken) => ({
+  token: signAccessToken(session),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS
+});
+
+// Start a session after a successful login. Returns { token, refreshToken, expiresIn, session }.
+export const createSession = async (req, account) => {
+  const userAgent = req.get('user-agent') || '';
+  const session = new Session({
+    account: account._id,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  const refreshToken = newRefreshToken(session);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { ...tokenResponse(session, refreshToken), session };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Reusing an already rotated refresh token revokes the session. Throws errors with a `status`.
+ */
+export const rotateSession = async (req, refreshToken) => {
+  const invalid = () => Object.assign(new Error('Session expired. Please log in again.'), { status: 401 });
+
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!/^[0-9a-f]{24}$/.test(sessionId)) throw invalid();
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive) throw invalid();
+
+  // The account may have been removed since the session started
+  if (!(await User.exists({ _id: session.account }))) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'Account removed';
+    await session.save();
+    throw invalid();
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  if (presentedHash === session.previousRefreshTokenHash) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'Refresh token reused';
+    await session.save();
+    throw invalid();
+  }
+
+  const nextToken = newRefreshToken(session);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      previousRefreshTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      ip: req.ip
+    },
+    { new: true }
+  );
+  if (!rotated) throw invalid();
+
+  return { ...tokenResponse(rotated, nextToken), session: rotated };
+};
@@ -0,0 +1,93 @@
+import { CampRegistration } from '../models/CampRegistration.js';
+import { sendWaitlistPromotionEmail } from './emailService.js';
+import { createBookingPass, passToQRDataUrl } from './checkIn.js';
+
+// Capacity, booked, waitlisted and available places for every slot of a camp
+export const getSlotAvailability = async (camp) => {
+  const counts = await CampRegistration.aggregate([
+    { $match: { camp: camp._id, status: { $in: ['booked', 'waitlisted'] } } },
+    { $group: { _id: { slot: '$slot', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const countFor = (slotId, status) =>
+    counts.find(entry => String(entry._id.slot) === String(slotId) && entry._id.status === status)?.count || 0;
+
+  return camp.slots.map(slot => {
+    const booked = countFor(slot._id, 'booked');
+    return {
+      slotId: slot._id,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      capacity: slot.capacity,
+      booked,
+      waitlisted: countFor(slot._id, 'waitlisted'),
+      available: Math.max(slot.capacity - booked, 0)
+    };
+  });
+};
+
+// 1-based position on the slot waitlist, or null if not waitlisted
+export const getWaitlistPosition = async (registration) => {
+  if (registration.status !== 'waitlisted') return null;
+  const ahead = await CampRegistration.countDocuments({
+    camp: registration.camp,
+    slot: registration.slot,
+    status: 'waitlisted',
+    waitlistedAt: { $lt: registration.waitlistedAt }
+  });
+  return ahead + 1;
+};
+
+/**
+ * Book the registration into the slot, or put it on the slot's waitlist when full.
+ * The booking is re-checked after saving so concurrent requests cannot overfill a slot.
+ */
+export const placeInSlot = async (registration, slot) => {
+  const now = new Date();
+  registration.slot = slot._id;
+  registration.status = 'booked';
+  registration.bookedAt = now;
+  registration.waitlistedAt = undefined;
+  await registration.save();
+
+  const booked = await CampRegistration.find({ camp: registration.camp, slot: slot._id, status: 'booked' })
+    .sort({ bookedAt: 1, _id: 1 })
+    .select('_id');
+
+  const position = booked.findIndex(entry => entry._id.equals(registration._id));
+  if (position >= slot.capacity) {
+    registration.status = 'waitlisted';
+    registration.bookedAt = undefined;
+    registration.waitlistedAt = now;
+    await registration.save();
+  }
+
+  return registration;
+};
+
+// Fill free places in a slot from its waitlist (oldest first) and email the promoted donors
+export const promoteFromWaitlist = async (camp, slot) => {
+  const promoted = [];
+
+  for (;;) {
+    const booked = await CampRegistration.countDocuments({ camp: camp._id, slot: slot._id, status: 'booked' });
+    if (booked >= slot.capacity) break;
+
+    const now = new Date();
+    const next = await CampRegistration.findOneAndUpdate(
+      { camp: camp._id, slot: slot._id, status: 'waitlisted' },
+      { $set: { status: 'booked', bookedAt: now, promotedAt: now }, $unset: { waitlistedAt: 1 } },
+      { sort: { waitlistedAt: 1, _id: 1 }, new: true }
+    ).populate('donor', 'name email');
+
+    if (!next) break;
+
+    if (next.donor) {
+      const qrCode = await passToQRDataUrl(createBookingPass(next, camp));
+      await sendWaitlistPromotionEmail(next.donor.email, next.donor.name, camp, slot, qrCode);
+    }
+    promoted.push(next);
+  }
+
+  return promoted;
+};
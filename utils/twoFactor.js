@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { User } from '../models/User.js';
+import { totpProvisioningUri, verifyTotp } from './totp.js';
+
+export const TWO_FACTOR_ISSUER = 'NSS Blood Donation';
+export const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+// Security settings cache, loaded from SecuritySettings at startup and on every update
+let cachedSettings = { requireAdminTwoFactor: false };
+
+export const getSecuritySettings = () => cachedSettings;
+
+export const setSecuritySettings = (settings) => {
+  cachedSettings = { ...cachedSettings, ...settings };
+  return cachedSettings;
+};
+
+// Mandatory 2FA is on and this admin has not enrolled yet
+export const needsTwoFactorSetup = (account) =>
+  account.isAdmin && cachedSettings.requireAdminTwoFactor && !account.twoFactor?.enabled;
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// Fresh recovery codes like "3f9a-c21b"; only the hashes are stored
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashRecoveryCode(code) }))
+  };
+};
+
+export const provisioningDetails = async (admin, secret) => {
+  const otpauthUrl = totpProvisioningUri(secret, admin.email, TWO_FACTOR_ISSUER);
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl, { errorCorrectionLevel: 'M', margin: 1, width: 300 })
+  };
+};
+
+// Short-lived token proving the password step of an admin login succeeded
+export const createTwoFactorChallenge = (admin) =>
+  jwt.sign({ type: '2fa_challenge', id: String(admin._id) }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+
+export const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === '2fa_challenge' ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Check an authenticator code (or, failing that, a recovery code) for an admin with 2FA enabled.
+ * Each authenticator code and recovery code is accepted only once.
+ * Returns 'totp', 'recovery_code' or null.
+ */
+export const verifySecondFactor = async (adminId, { code, recoveryCode }) => {
+  if (code) {
+    const admin = await User.findById(adminId).select('+twoFactor.secret');
+    if (!admin?.twoFactor?.enabled || !admin.twoFactor.secret) return null;
+
+    const step = verifyTotp(admin.twoFactor.secret, code);
+    if (step === null) return null;
+
+    // Claim the time step so the same code cannot be replayed
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: adminId,
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return claimed ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: adminId,
+        'twoFactor.enabled': true,
+        'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } }
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return claimed ? 'recovery_code' : null;
+  }
+
+  return null;
+};
+
+// Confirm enrollment with a code from the pending secret. Returns the recovery codes, or null if the code is wrong.
+export const enableTwoFactor = async (admin, code) => {
+  if (!admin.twoFactor?.pendingSecret) return null;
+  const step = verifyTotp(admin.twoFactor.pendingSecret, code);
+  if (step === null) return null;
+
+  const { codes, stored } = generateRecoveryCodes();
+  admin.twoFactor = {
+    enabled: true,
+    enabledAt: new Date(),
+    secret: admin.twoFactor.pendingSecret,
+    pendingSecret: undefined,
+    lastUsedStep: step,
+    recoveryCodes: stored
+  };
+  await admin.save();
+  return codes;
+};
@@ -0,0 +1,11 @@
+// Absolute URLs for links sent in emails and QR codes
+
+export const backendUrl = (path = '') => {
+  const base = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${base.replace(/\/$/, '')}${path}`;
+};
+
+export const frontendUrl = (path = '') => {
+  const base = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${base.replace(/\/$/, '')}${path}`;
+};